@@ -0,0 +1,149 @@
+// lib/admin-keys.js
+// Named admin API keys with roles. Keys look like "oor_<id>_<secret>"; only a
+// SHA-256 of the whole key is stored, under admin_keys/<id>:
+//
+//   { name, role, key_hash, created_at, created_by, revoked_at, last_used_at }
+//
+// Roles:
+//   codes    generate codes and manage promo codes / batches
+//   support  look up promo codes and transactions, and extend them (hiding
+//            and ending a customer's transaction is left to owners)
+//   owner    everything, incl. credentials, slot settings, security and keys
+//
+// The ADMIN_KEY env var still works as a built-in owner key named "owner"
+// so there's always a way in to issue the first named keys.
+
+const crypto = require("crypto");
+
+const KEYS_ROOT = "admin_keys";
+const ROLES = ["codes", "support", "owner"];
+
+const ROLE_PERMISSIONS = {
+  codes: ["slots:read", "codes:read", "codes:create", "codes:manage"],
+  support: ["slots:read", "codes:read", "transactions:read", "transactions:extend"],
+  owner: ["*"]
+};
+
+// Don't rewrite last_used_at on every request.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function hasPermission(role, permission) {
+  const perms = ROLE_PERMISSIONS[role] || [];
+  return perms.includes("*") || perms.includes(permission);
+}
+
+function normalizeRole(role) {
+  const val = String(role || "").trim().toLowerCase();
+  return ROLES.includes(val) ? val : null;
+}
+
+function keySummary(id, node) {
+  return {
+    id,
+    name: node.name,
+    role: node.role,
+    created_at: node.created_at || null,
+    created_by: node.created_by || null,
+    last_used_at: node.last_used_at || null,
+    revoked: !!node.revoked_at,
+    revoked_at: node.revoked_at || null
+  };
+}
+
+function createAdminKeys(db, { envKey = null } = {}) {
+  return {
+    // Identity { id, name, role } for a presented key, or null.
+    async authenticate(key) {
+      if (!key) return null;
+      const given = Buffer.from(hashKey(key), "hex");
+      if (envKey && crypto.timingSafeEqual(given, Buffer.from(hashKey(envKey), "hex"))) {
+        return { id: "env", name: "owner", role: "owner" };
+      }
+
+      const m = /^oor_([a-f0-9]{8})_[A-Za-z0-9_-]+$/.exec(key);
+      if (!m) return null;
+      const node = await db.get(`${KEYS_ROOT}/${m[1]}`);
+      if (!node || node.revoked_at || !ROLES.includes(node.role)) return null;
+
+      const stored = Buffer.from(String(node.key_hash || ""), "hex");
+      if (stored.length !== given.length || !crypto.timingSafeEqual(given, stored)) return null;
+
+      const lastUsed = Date.parse(node.last_used_at || "") || 0;
+      if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+        await db.update(`${KEYS_ROOT}/${m[1]}`, { last_used_at: new Date().toISOString() });
+      }
+      return { id: m[1], name: node.name, role: node.role };
+    },
+
+    async list() {
+      const all = (await db.get(KEYS_ROOT)) || {};
+      return Object.entries(all)
+        .map(([id, node]) => keySummary(id, node))
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    },
+
+    // Returns { key, summary } (the plain key is only ever shown here) or
+    // { error }.
+    async issue({ name, role, createdBy }) {
+      const cleanName = String(name || "").trim();
+      if (!/^[A-Za-z0-9 _.@-]{1,40}$/.test(cleanName)) {
+        return { error: "name must be 1-40 letters, digits, spaces or _ . @ -" };
+      }
+      if (cleanName.toLowerCase() === "owner") {
+        return { error: '"owner" is reserved for the ADMIN_KEY env key' };
+      }
+      const cleanRole = normalizeRole(role);
+      if (!cleanRole) {
+        return { error: `role must be one of: ${ROLES.join(", ")}` };
+      }
+      const taken = (await this.list()).some(
+        k => !k.revoked && k.name.toLowerCase() === cleanName.toLowerCase()
+      );
+      if (taken) {
+        return { error: "An active key with this name already exists" };
+      }
+
+      // Ids are short, so a new one may already be taken; writing over it
+      // would swap out someone else's key and role.
+      for (let attempts = 0; attempts < 10; attempts++) {
+        const id = crypto.randomBytes(4).toString("hex");
+        const key = `oor_${id}_${crypto.randomBytes(24).toString("base64url")}`;
+        const node = {
+          name: cleanName,
+          role: cleanRole,
+          key_hash: hashKey(key),
+          created_at: new Date().toISOString(),
+          created_by: createdBy || null
+        };
+        const { committed, value } = await db.transaction(`${KEYS_ROOT}/${id}`, current => {
+          if (current !== null) return;
+          return node;
+        });
+        if (committed && value !== null) return { key, summary: keySummary(id, node) };
+      }
+      throw new Error("Failed to generate a unique admin key id");
+    },
+
+    // Returns the updated summary, or null when the key doesn't exist.
+    async revoke(id) {
+      const node = await db.get(`${KEYS_ROOT}/${id}`);
+      if (!node) return null;
+      if (!node.revoked_at) {
+        node.revoked_at = new Date().toISOString();
+        await db.update(`${KEYS_ROOT}/${id}`, { revoked_at: node.revoked_at });
+      }
+      return keySummary(id, node);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  createAdminKeys
+};
@@ -0,0 +1,243 @@
+// lib/analytics.js
+// Numbers for GET /admin/analytics, computed from what's already stored:
+//
+//   codes        promo_codes created_at (generated) and used_by[].used_at
+//                (claimed; renewals are the entries with renewed_transaction)
+//   failures     audit_log "promo.claim" failures, by reason
+//   delivery     audit_log "account.get_otp" / "account.get_code", by outcome
+//   platforms    transactions active right now
+//   credentials  usage_count against max_usage right now
+//
+// Days are calendar days in DISPLAY_TIME_ZONE. Audit-based numbers only go
+// back as far as the audit log does (AUDIT_RETENTION_DAYS).
+
+const { DISPLAY_TIME_ZONE, formatDateTime, parseDateTime, zonedTimeToDate, endOfDay } = require("./time");
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// YYYY-MM-DD of `date` in the display zone.
+function dayOf(date) {
+  return formatDateTime(date).slice(0, 10);
+}
+
+function startOfDay(day) {
+  const m = DAY_RE.exec(day);
+  return zonedTimeToDate({ year: +m[1], month: +m[2], day: +m[3] }, DISPLAY_TIME_ZONE);
+}
+
+// Every day from `fromDay` to `toDay`, both included.
+function daysBetween(fromDay, toDay) {
+  const days = [];
+  const [fy, fm, fd] = fromDay.split("-").map(Number);
+  for (let d = new Date(Date.UTC(fy, fm - 1, fd)); ; d.setUTCDate(d.getUTCDate() + 1)) {
+    const day = d.toISOString().slice(0, 10);
+    if (day > toDay) break;
+    days.push(day);
+  }
+  return days;
+}
+
+// { from, to } query values (YYYY-MM-DD, display zone, both inclusive) to
+// { fromDay, toDay, days, start, end } with start / end as epoch millis
+// (end exclusive), or { error }. Defaults to the last DEFAULT_RANGE_DAYS days.
+function parseRange({ from, to } = {}, now = Date.now()) {
+  for (const [name, val] of [["from", from], ["to", to]]) {
+    if (val && !DAY_RE.test(String(val).trim())) return { error: `${name} must be YYYY-MM-DD` };
+  }
+  const toDay = to ? String(to).trim() : dayOf(new Date(now));
+  let fromDay = from ? String(from).trim() : null;
+  if (!fromDay) {
+    const [y, m, d] = toDay.split("-").map(Number);
+    fromDay = new Date(Date.UTC(y, m - 1, d - (DEFAULT_RANGE_DAYS - 1))).toISOString().slice(0, 10);
+  }
+  if (fromDay > toDay) return { error: "from must not be after to" };
+
+  const days = daysBetween(fromDay, toDay);
+  if (days.length > MAX_RANGE_DAYS) return { error: `Range can be at most ${MAX_RANGE_DAYS} days` };
+  return {
+    fromDay,
+    toDay,
+    days,
+    start: startOfDay(fromDay).getTime(),
+    end: endOfDay(toDay).getTime()
+  };
+}
+
+function inRange(range, date) {
+  if (!date) return false;
+  const ts = date.getTime();
+  return ts >= range.start && ts < range.end;
+}
+
+function countBy(items, keyOf) {
+  const out = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    out[key] = (out[key] || 0) + 1;
+  }
+  return out;
+}
+
+// Codes generated and claimed in the range, per slot (platform codes are
+// grouped under their platform) and per day.
+function codeStats(promos, range) {
+  const perDay = Object.fromEntries(
+    range.days.map(day => [day, { day, generated: 0, claimed: 0, renewed: 0 }])
+  );
+  const perTarget = {};
+  const totals = { generated: 0, claimed: 0, renewed: 0 };
+
+  for (const promo of Object.values(promos || {})) {
+    if (!promo) continue;
+    const slotId = promo.slot_id || null;
+    const targetKey = slotId ? `slot:${slotId}` : `platform:${String(promo.platform || "").toLowerCase()}`;
+    if (!perTarget[targetKey]) {
+      perTarget[targetKey] = {
+        mode: slotId ? "slot" : "platform",
+        slot_id: slotId,
+        slot_name: promo.slot_name || slotId,
+        platform: promo.platform || null,
+        generated: 0,
+        claimed: 0,
+        renewed: 0
+      };
+    }
+    const target = perTarget[targetKey];
+
+    const created = parseDateTime(promo.created_at);
+    if (inRange(range, created)) {
+      totals.generated++;
+      target.generated++;
+      perDay[dayOf(created)].generated++;
+    }
+    for (const use of Array.isArray(promo.used_by) ? promo.used_by : []) {
+      const usedAt = use ? parseDateTime(use.used_at) : null;
+      if (!inRange(range, usedAt)) continue;
+      const field = use.renewed_transaction ? "renewed" : "claimed";
+      totals[field]++;
+      target[field]++;
+      perDay[dayOf(usedAt)][field]++;
+    }
+  }
+
+  return {
+    ...totals,
+    by_slot: Object.values(perTarget)
+      .filter(t => t.generated || t.claimed || t.renewed)
+      .sort((a, b) => b.generated + b.claimed - (a.generated + a.claimed)),
+    by_day: range.days.map(day => perDay[day])
+  };
+}
+
+// "promo.claim" failures among audit `entries`, most common reason first.
+function claimFailureStats(entries) {
+  const failures = entries.filter(e => e.action === "promo.claim" && e.outcome === "failure");
+  const byReason = countBy(failures, e => e.reason || "UNKNOWN");
+  return {
+    total: failures.length,
+    by_reason: Object.entries(byReason)
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason))
+  };
+}
+
+// OTP and mail-code requests per day. A get-code request that had to wait
+// in the mailbox queue is counted once, as queued, when it joins.
+function deliveryStats(entries, range) {
+  const kinds = { "account.get_otp": "otp", "account.get_code": "mail_code" };
+  const empty = () => ({ requests: 0, delivered: 0, failed: 0 });
+  const perDay = Object.fromEntries(
+    range.days.map(day => [day, { day, otp: empty(), mail_code: { ...empty(), queued: 0 } }])
+  );
+  const totals = { otp: empty(), mail_code: { ...empty(), queued: 0 } };
+  const reasons = { otp: {}, mail_code: {} };
+
+  for (const e of entries) {
+    const kind = kinds[e.action];
+    const at = kind ? new Date(e.at) : null;
+    if (!kind || !inRange(range, at)) continue;
+    const buckets = [totals[kind], perDay[dayOf(at)][kind]];
+    if (kind === "mail_code" && e.reason === "QUEUED") {
+      buckets.forEach(b => b.queued++);
+      continue;
+    }
+    const field = e.outcome === "failure" ? "failed" : "delivered";
+    buckets.forEach(b => {
+      b.requests++;
+      b[field]++;
+    });
+    if (field === "failed") {
+      const reason = e.reason || "UNKNOWN";
+      reasons[kind][reason] = (reasons[kind][reason] || 0) + 1;
+    }
+  }
+
+  return {
+    otp: { ...totals.otp, failure_reasons: reasons.otp },
+    mail_code: { ...totals.mail_code, failure_reasons: reasons.mail_code },
+    by_day: range.days.map(day => perDay[day])
+  };
+}
+
+// Transactions active now per platform; `isActive(trx)` decides.
+function activeByPlatform(transactions, isActive) {
+  const out = {};
+  for (const trx of Object.values(transactions || {})) {
+    if (!trx || !isActive(trx)) continue;
+    const platform = trx.platform || "unknown";
+    if (!out[platform]) out[platform] = { platform, active: 0, assignment_pending: 0 };
+    const row = out[platform];
+    row.active++;
+    if (trx.assignment_pending === true) row.assignment_pending++;
+  }
+  return Object.values(out).sort((a, b) => b.active - a.active || a.platform.localeCompare(b.platform));
+}
+
+// Usage against max_usage for credential summaries (see credentialSummary in
+// server.js). max_usage 0 is unlimited, so those have no utilisation and
+// stay out of the capacity totals.
+function credentialUtilisation(summaries) {
+  let used = 0;
+  let capacity = 0;
+  const credentials = summaries
+    .filter(c => !c.retired)
+    .map(c => {
+      if (c.max_usage > 0) {
+        used += Math.min(c.usage_count, c.max_usage);
+        capacity += c.max_usage;
+      }
+      return {
+        key: c.key,
+        email: c.email,
+        slot: c.belongs_to_slot,
+        platform: c.belongs_to_platform,
+        usage_count: c.usage_count,
+        max_usage: c.max_usage,
+        utilisation: c.max_usage > 0 ? Math.round((c.usage_count / c.max_usage) * 100) / 100 : null,
+        locked: c.locked === 1,
+        expired: !!c.expired_at
+      };
+    })
+    .sort((a, b) => (b.utilisation ?? -1) - (a.utilisation ?? -1) || a.key.localeCompare(b.key));
+
+  return {
+    used,
+    capacity,
+    utilisation: capacity ? Math.round((used / capacity) * 100) / 100 : null,
+    full: credentials.filter(c => c.max_usage > 0 && c.usage_count >= c.max_usage).length,
+    credentials
+  };
+}
+
+module.exports = {
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  parseRange,
+  codeStats,
+  claimFailureStats,
+  deliveryStats,
+  activeByPlatform,
+  credentialUtilisation
+};
@@ -0,0 +1,118 @@
+// lib/audit.js
+// Append-only audit trail under audit_log/<id>. Ids start with the epoch
+// millis (see newId in server.js), so key order is time order and query() /
+// prune() read only the key range they need. Entries are only ever added;
+// prune() is the one thing that removes them, and only those older than the
+// retention window.
+//
+// Entry:
+//   { at, action, outcome, actor_type, actor, ip,
+//     code, user_id, credential, slot_id, reason, details }
+//
+//   action      dotted name, e.g. "promo.claim", "admin.credential.rotate"
+//   outcome     "success" | "failure"
+//   actor_type  "admin" (actor = key name) | "user" (actor = user id / code)
+//               | "system"
+//
+//   AUDIT_RETENTION_DAYS  entries older than this are pruned (default 90,
+//                         0 keeps everything)
+
+const crypto = require("crypto");
+
+const AUDIT_ROOT = "audit_log";
+
+function auditId(now = Date.now()) {
+  return `${now}_${crypto.randomBytes(4).toString("hex")}`;
+}
+
+function retentionDays(env = process.env) {
+  const n = parseInt(env.AUDIT_RETENTION_DAYS ?? "90", 10);
+  return isNaN(n) || n < 0 ? 90 : n;
+}
+
+function clean(val, max = 200) {
+  if (val === undefined || val === null || val === "") return null;
+  return String(val).slice(0, max);
+}
+
+function createAuditLog(db, { retention = retentionDays() } = {}) {
+  return {
+    retentionDays: retention,
+
+    // Never throws: a failed audit write is logged, not turned into a failed
+    // request.
+    async record(entry) {
+      const now = Date.now();
+      const node = {
+        at: new Date(now).toISOString(),
+        action: clean(entry.action, 80) || "unknown",
+        outcome: entry.outcome === "failure" ? "failure" : "success",
+        actor_type: clean(entry.actor_type, 20) || "system",
+        actor: clean(entry.actor),
+        ip: clean(entry.ip, 64),
+        code: clean(entry.code, 40),
+        user_id: clean(entry.user_id),
+        credential: clean(entry.credential, 80),
+        slot_id: clean(entry.slot_id, 80),
+        reason: clean(entry.reason, 500),
+        details: entry.details && typeof entry.details === "object" ? entry.details : null
+      };
+      try {
+        await db.set(`${AUDIT_ROOT}/${auditId(now)}`, node);
+      } catch (err) {
+        console.error(`[audit] failed to record ${node.action}:`, err);
+      }
+    },
+
+    // Filters: code, user_id, credential, action (prefix), actor, outcome,
+    // from / to (anything Date parses). Newest first.
+    async query(filters = {}, { limit = 200 } = {}) {
+      const from = filters.from ? Date.parse(filters.from) : null;
+      const to = filters.to ? Date.parse(filters.to) : null;
+      const eq = (a, b) => String(a || "").toLowerCase() === String(b).toLowerCase();
+
+      // "~" sorts after "_", so `${to}~` takes in every id of that millisecond.
+      const all =
+        (await db.getRange(AUDIT_ROOT, {
+          startAt: from === null ? null : String(from),
+          endAt: to === null ? null : `${to}~`
+        })) || {};
+      const entries = Object.entries(all)
+        .map(([id, e]) => ({ id, ...e, ts: parseInt(id, 10) }))
+        .filter(e => from === null || e.ts >= from)
+        .filter(e => to === null || e.ts <= to)
+        .filter(e => !filters.code || eq(e.code, filters.code))
+        .filter(e => !filters.user_id || eq(e.user_id, filters.user_id))
+        .filter(e => !filters.credential || eq(e.credential, filters.credential))
+        .filter(e => !filters.actor || eq(e.actor, filters.actor))
+        .filter(e => !filters.outcome || eq(e.outcome, filters.outcome))
+        .filter(e => !filters.action || String(e.action || "").startsWith(filters.action))
+        .sort((a, b) => b.id.localeCompare(a.id))
+        .map(({ ts, ...e }) => e);
+      return { total: entries.length, entries: entries.slice(0, limit) };
+    },
+
+    // Removes entries older than the retention window (or `before`, a Date).
+    // Returns { cutoff, removed } and leaves the log alone with dryRun.
+    async prune({ before = null, dryRun = false } = {}) {
+      if (!before && !retention) return { cutoff: null, removed: 0 };
+      const cutoff = before || new Date(Date.now() - retention * 24 * 60 * 60 * 1000);
+      const all = (await db.getRange(AUDIT_ROOT, { endAt: String(cutoff.getTime()) })) || {};
+      const stale = Object.keys(all).filter(id => parseInt(id, 10) < cutoff.getTime());
+      if (!dryRun) {
+        for (let i = 0; i < stale.length; i += 500) {
+          const patch = {};
+          for (const id of stale.slice(i, i + 500)) patch[id] = null;
+          await db.update(AUDIT_ROOT, patch);
+        }
+      }
+      return { cutoff: cutoff.toISOString(), removed: stale.length };
+    }
+  };
+}
+
+module.exports = {
+  AUDIT_ROOT,
+  retentionDays,
+  createAuditLog
+};
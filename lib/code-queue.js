@@ -0,0 +1,113 @@
+// lib/code-queue.js
+// One sign-in code lookup at a time per mailbox, with a first-come queue for
+// everyone else. Two people reading the same inbox at once could be handed
+// each other's codes; different mailboxes don't wait on each other.
+//
+// Everything for a mailbox lives in one node so a single transaction sees it
+// all, runtime/code_queue/<mailbox>:
+//
+//   lock     { holder, started_at, lease_until }   the lookup running now
+//   waiting  { <ticket>: { joined_at, last_seen } }
+//   avg_ms   moving average of lookup time, for wait estimates
+//
+// The lock is a lease: if the process dies mid-lookup it simply runs out.
+// Waiters have to keep polling; one not seen for STALE_MS loses its place.
+// Tickets are the caller's transaction code, so polling again keeps the same
+// place in line. Times are epoch millis.
+
+const QUEUE_ROOT = "runtime/code_queue";
+const STALE_MS = 30 * 1000;
+const DEFAULT_AVG_MS = 5000;
+
+// Storage keys can't contain . # $ [ ] /
+function mailboxKey(email) {
+  return String(email || "").trim().toLowerCase().replace(/[.#$[\]/]/g, "_");
+}
+
+function sortedWaiting(node) {
+  return Object.entries(node.waiting || {})
+    .sort((a, b) => a[1].joined_at - b[1].joined_at || a[0].localeCompare(b[0]))
+    .map(([ticket]) => ticket);
+}
+
+// Rough wait for someone `ahead` places behind the running lookup.
+function estimateWaitMs(node, ahead, now) {
+  const avg = node.avg_ms || DEFAULT_AVG_MS;
+  let current = 0;
+  if (node.lock) {
+    const expected = node.lock.started_at + avg - now;
+    current = Math.max(0, Math.min(expected, node.lock.lease_until - now));
+  }
+  return current + ahead * avg;
+}
+
+function createCodeQueue(db, { staleMs = STALE_MS, now = () => Date.now() } = {}) {
+  const pathFor = mailbox => `${QUEUE_ROOT}/${mailbox}`;
+
+  return {
+    // Take the mailbox lock for `ticket` if it's free and nobody queued
+    // before them, otherwise join / keep their place in line. Returns
+    //   { acquired: true }
+    //   { acquired: false, position, wait_ms, joined }
+    // position 0 means this ticket already holds the lock (a double submit).
+    async enter(mailbox, ticket, { leaseMs }) {
+      let outcome = null;
+      await db.transaction(pathFor(mailbox), current => {
+        const t = now();
+        const node = current || {};
+        const waiting = {};
+        for (const [k, w] of Object.entries(node.waiting || {})) {
+          if (w && t - w.last_seen <= staleMs) waiting[k] = w;
+        }
+        const lock = node.lock && node.lock.lease_until > t ? node.lock : null;
+        const next = { ...node, waiting, lock };
+
+        if (lock && lock.holder === ticket) {
+          outcome = { acquired: false, position: 0, wait_ms: estimateWaitMs(next, 0, t), joined: false };
+          return next;
+        }
+
+        const joined = !waiting[ticket];
+        waiting[ticket] = { joined_at: joined ? t : waiting[ticket].joined_at, last_seen: t };
+        const order = sortedWaiting(next);
+
+        if (!lock && order[0] === ticket) {
+          delete waiting[ticket];
+          next.lock = { holder: ticket, started_at: t, lease_until: t + leaseMs };
+          outcome = { acquired: true };
+          return next;
+        }
+
+        const ahead = order.indexOf(ticket);
+        outcome = {
+          acquired: false,
+          position: ahead + 1,
+          wait_ms: estimateWaitMs(next, ahead, t),
+          joined
+        };
+        return next;
+      });
+      return outcome;
+    },
+
+    // Give the lock back and fold this lookup's time into the average. A
+    // holder whose lease already ran out (and was taken over) changes nothing.
+    async release(mailbox, ticket) {
+      await db.transaction(pathFor(mailbox), current => {
+        // Firebase may run this with null before it has the real value;
+        // aborting there would never reach the server, so write back what
+        // we were given and let it retry with server data.
+        if (!current || !current.lock || current.lock.holder !== ticket) return current;
+        const took = now() - current.lock.started_at;
+        const avg = current.avg_ms ? Math.round(current.avg_ms * 0.7 + took * 0.3) : took;
+        return { ...current, lock: null, avg_ms: avg };
+      });
+    }
+  };
+}
+
+module.exports = {
+  QUEUE_ROOT,
+  mailboxKey,
+  createCodeQueue
+};
@@ -0,0 +1,141 @@
+// lib/credential-strategies.js
+// Orders credential candidates for a claim. Each strategy gets the usable
+// candidates of one match tier (slot / platform / "all") and returns them
+// in the order they should be tried; the caller reserves the first one that
+// still has capacity.
+//
+//   first           key order (the old behaviour)
+//   least_used      lowest usage_count / max_usage first
+//   round_robin     next key after the one handed out last time
+//   weighted        random, weighted by `weight` (default 1) x spare capacity
+//   soonest_expiry  earliest expiry_date first, undated ones last
+//
+// Which one applies is set in settings/credential_strategies (PUT
+// /admin/credential-strategies):
+//   { slots: { <slotId>: "least_used" }, platforms: { <platform>: "round_robin" },
+//     default: "first" }
+// Slot beats platform beats default.
+
+const { endOfDay } = require("./time");
+
+const STRATEGIES = ["first", "least_used", "round_robin", "weighted", "soonest_expiry"];
+const DEFAULT_STRATEGY = "first";
+const STRATEGY_SETTINGS = "settings/credential_strategies";
+const SETTINGS_KEY_RE = /^[^.#$[\]/]{1,80}$/;
+
+function toInt(val, fallback = 0) {
+  const n = parseInt(val ?? fallback, 10);
+  return isNaN(n) ? fallback : n;
+}
+
+function usageRatio(node) {
+  const max = toInt(node.max_usage);
+  if (max <= 0) return 0;
+  return toInt(node.usage_count) / max;
+}
+
+function expiryTime(node) {
+  const exp = endOfDay(node.expiry_date);
+  return exp ? exp.getTime() : Infinity;
+}
+
+function weightOf(node) {
+  let weight = Number(node.weight ?? 1);
+  if (!isFinite(weight) || weight < 0) weight = 1;
+  const max = toInt(node.max_usage);
+  if (max > 0) {
+    weight *= Math.max(max - toInt(node.usage_count), 0) / max;
+  }
+  return weight;
+}
+
+const byKey = (a, b) => a.key.localeCompare(b.key);
+
+const orderers = {
+  first: list => [...list].sort(byKey),
+
+  least_used: list =>
+    [...list].sort(
+      (a, b) =>
+        usageRatio(a.node) - usageRatio(b.node) ||
+        toInt(a.node.usage_count) - toInt(b.node.usage_count) ||
+        byKey(a, b)
+    ),
+
+  round_robin: (list, { lastKey = null } = {}) => {
+    const sorted = [...list].sort(byKey);
+    if (!lastKey) return sorted;
+    const idx = sorted.findIndex(c => c.key > lastKey);
+    if (idx <= 0) return sorted;
+    return [...sorted.slice(idx), ...sorted.slice(0, idx)];
+  },
+
+  // Weighted sampling without replacement (Efraimidis–Spirakis).
+  weighted: (list, { random = Math.random } = {}) =>
+    list
+      .map(c => {
+        const w = weightOf(c.node);
+        return { c, score: w > 0 ? Math.pow(random(), 1 / w) : -1 };
+      })
+      .sort((a, b) => b.score - a.score || byKey(a.c, b.c))
+      .map(x => x.c),
+
+  soonest_expiry: list =>
+    [...list].sort((a, b) => expiryTime(a.node) - expiryTime(b.node) || byKey(a, b))
+};
+
+function normalizeStrategy(name) {
+  const val = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[-\s]+/g, "_");
+  return STRATEGIES.includes(val) ? val : null;
+}
+
+// Checks settings/credential_strategies as given by an admin. Returns
+// { errors, data } with every strategy name normalized.
+function validateStrategySettings(input) {
+  const errors = [];
+  const data = { slots: {}, platforms: {}, default: DEFAULT_STRATEGY };
+  const conf = input && typeof input === "object" ? input : {};
+  const check = (label, val) => {
+    const name = normalizeStrategy(val);
+    if (!name) errors.push(`${label} must be one of: ${STRATEGIES.join(", ")}`);
+    return name;
+  };
+
+  if (conf.default !== undefined && conf.default !== null && conf.default !== "") {
+    data.default = check("default", conf.default) || DEFAULT_STRATEGY;
+  }
+  for (const section of ["slots", "platforms"]) {
+    const entries = conf[section] === undefined || conf[section] === null ? {} : conf[section];
+    if (typeof entries !== "object" || Array.isArray(entries)) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [key, val] of Object.entries(entries)) {
+      const id = String(key).trim();
+      if (!SETTINGS_KEY_RE.test(id)) {
+        errors.push(`${section}: invalid key "${key}"`);
+        continue;
+      }
+      const name = check(`${section}.${id}`, val);
+      if (name) data[section][id] = name;
+    }
+  }
+  return { errors, data };
+}
+
+function orderCandidates(strategy, candidates, opts = {}) {
+  const orderer = orderers[normalizeStrategy(strategy) || DEFAULT_STRATEGY];
+  return orderer(candidates, opts);
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  STRATEGY_SETTINGS,
+  normalizeStrategy,
+  validateStrategySettings,
+  orderCandidates
+};
@@ -0,0 +1,253 @@
+// lib/credentials.js
+// Credential pool: nodes live under credentials/<key> (key is still "cred2"
+// etc., which is what transactions store in assign_to), and
+// credential_index keeps key sets per slot and per platform so a claim only
+// reads the credentials that can apply to it:
+//
+//   credential_index/by_slot/<slot id>/<key>: true
+//   credential_index/by_platform/<platform>/<key>: true
+//
+// Index keys are lowercased; "all" is indexed like any other value.
+// Retired credentials stay in credentials/ (transactions still point at
+// them) but drop out of the index.
+// Always write credentials through saveCredential/removeCredential so the
+// index moves with them.
+
+const { OTP_FIELDS, parseOtpauthUri, validateSecret, validateOtpSettings } = require("./otp");
+
+const CREDENTIALS_ROOT = "credentials";
+const INDEX_ROOT = "credential_index";
+
+function credentialPath(key) {
+  return `${CREDENTIALS_ROOT}/${key}`;
+}
+
+function normalizeOwns(val) {
+  if (!val) return [];
+  if (Array.isArray(val)) return val;
+  return String(val)
+    .split(",")
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// Firebase keys can't contain . # $ [ ] /
+function indexKey(val) {
+  return String(val).trim().toLowerCase().replace(/[.#$[\]/]/g, "_");
+}
+
+function indexEntries(node) {
+  if (!node || typeof node !== "object" || node.retired) return [];
+  const slots = normalizeOwns(node.belongs_to_slot).map(v => `by_slot/${indexKey(v)}`);
+  const plats = normalizeOwns(node.belongs_to_platform).map(
+    v => `by_platform/${indexKey(v)}`
+  );
+  return [...new Set([...slots, ...plats])];
+}
+
+// Multi-path patch (relative to the root) that moves a credential's index
+// entries from `before` to `after`.
+function indexPatch(key, before, after) {
+  const patch = {};
+  const next = new Set(indexEntries(after));
+  for (const entry of indexEntries(before)) {
+    if (!next.has(entry)) patch[`${INDEX_ROOT}/${entry}/${key}`] = null;
+  }
+  for (const entry of next) {
+    patch[`${INDEX_ROOT}/${entry}/${key}`] = true;
+  }
+  return patch;
+}
+
+async function getCredential(db, key) {
+  if (!key) return null;
+  return db.get(credentialPath(key));
+}
+
+async function saveCredential(db, key, node) {
+  const before = await getCredential(db, key);
+  await db.update("/", {
+    [credentialPath(key)]: node,
+    ...indexPatch(key, before, node)
+  });
+}
+
+// Writes only `fields` (already sealed) of credential `key`, whose stored
+// node was `before`, plus the index entries they change. usage_count is
+// moved by claims and releases in their own transactions, so it's never
+// written here.
+async function updateCredential(db, key, before, fields) {
+  const patch = {};
+  for (const [f, val] of Object.entries(fields)) {
+    if (f !== "usage_count") patch[`${credentialPath(key)}/${f}`] = val;
+  }
+  Object.assign(patch, indexPatch(key, before, { ...before, ...fields }));
+  await db.update("/", patch);
+}
+
+async function removeCredential(db, key) {
+  const before = await getCredential(db, key);
+  await db.update("/", {
+    [credentialPath(key)]: null,
+    ...indexPatch(key, before, null)
+  });
+}
+
+// Keys of credentials that may apply to a slot: indexed under the slot id,
+// the slot's platform, or "all".
+async function listCredentialKeys(db, { slotId, platform }) {
+  const buckets = [];
+  if (slotId) buckets.push(`by_slot/${indexKey(slotId)}`);
+  if (platform) buckets.push(`by_platform/${indexKey(platform)}`);
+  buckets.push("by_slot/all", "by_platform/all");
+
+  const keys = new Set();
+  for (const bucket of buckets) {
+    const entries = (await db.get(`${INDEX_ROOT}/${bucket}`)) || {};
+    for (const [key, on] of Object.entries(entries)) {
+      if (on) keys.add(key);
+    }
+  }
+  return [...keys].sort();
+}
+
+// Recompute the whole index from credentials/. Used by the migration script
+// and as a repair tool.
+async function rebuildCredentialIndex(db) {
+  const all = (await db.get(CREDENTIALS_ROOT)) || {};
+  const patch = {};
+  for (const [key, node] of Object.entries(all)) {
+    Object.assign(patch, indexPatch(key, null, node));
+  }
+  await db.set(INDEX_ROOT, null);
+  if (Object.keys(patch).length) await db.update("/", patch);
+  return Object.keys(all).length;
+}
+
+// Next free credN key.
+async function nextCredentialKey(db) {
+  const all = (await db.get(CREDENTIALS_ROOT)) || {};
+  let max = 0;
+  for (const key of Object.keys(all)) {
+    const m = /^cred(\d+)$/.exec(key);
+    if (m) max = Math.max(max, parseInt(m[1], 10));
+  }
+  return `cred${max + 1}`;
+}
+
+// Validate admin input for a credential. With `partial` only the fields
+// present are checked (PATCH). Returns { errors, data } where data holds the
+// cleaned fields; null means "clear this field".
+function validateCredentialInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const errors = [];
+  const data = {};
+  const has = f => Object.prototype.hasOwnProperty.call(input, f);
+
+  for (const f of ["email", "password"]) {
+    if (!has(f)) {
+      if (!partial) errors.push(`${f} is required`);
+      continue;
+    }
+    const val = typeof input[f] === "string" ? input[f].trim() : "";
+    if (!val) errors.push(`${f} must be a non-empty string`);
+    else data[f] = val;
+  }
+
+  // secret: base32, or an otpauth:// URI which also sets the otp_* fields.
+  // Explicit otp_* fields win over the URI's.
+  if (has("secret")) {
+    const val = String(input.secret ?? "").trim();
+    if (!val) {
+      data.secret = null;
+    } else if (/^otpauth:/i.test(val)) {
+      const parsed = parseOtpauthUri(val);
+      if (parsed.error) errors.push(parsed.error);
+      else Object.assign(data, { secret: parsed.secret }, parsed.data);
+    } else {
+      const checked = validateSecret(val);
+      if (checked.error) errors.push(checked.error);
+      else data.secret = checked.secret;
+    }
+  }
+  const otp = validateOtpSettings(input);
+  errors.push(...otp.errors);
+  Object.assign(data, otp.data);
+
+  for (const f of ["belongs_to_slot", "belongs_to_platform"]) {
+    if (!has(f)) continue;
+    const list = normalizeOwns(input[f]).map(v => String(v).trim()).filter(Boolean);
+    data[f] = list.length ? list.join(", ") : null;
+  }
+  if (!partial && !data.belongs_to_slot && !data.belongs_to_platform) {
+    errors.push("belongs_to_slot or belongs_to_platform is required");
+  }
+
+  if (has("max_usage")) {
+    const n = Number(input.max_usage ?? 0);
+    if (!Number.isInteger(n) || n < 0) errors.push("max_usage must be an integer >= 0");
+    else data.max_usage = n;
+  }
+
+  if (has("expiry_date")) {
+    const val = input.expiry_date ? String(input.expiry_date).trim() : "";
+    if (!val) {
+      data.expiry_date = null;
+    } else {
+      const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(val);
+      const d = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+      if (!d || d.getUTCMonth() !== +m[2] - 1 || d.getUTCDate() !== +m[3]) {
+        errors.push("expiry_date must be YYYY-MM-DD");
+      } else {
+        data.expiry_date = val;
+      }
+    }
+  }
+
+  // weight: share under the "weighted" strategy (lib/credential-strategies.js).
+  if (has("weight")) {
+    const val = input.weight;
+    const n = Number(val);
+    if (val === null || val === "") data.weight = null;
+    else if (!isFinite(n) || n < 0) errors.push("weight must be a number >= 0");
+    else data.weight = n;
+  }
+
+  if (has("locked")) {
+    const val = input.locked;
+    if (![true, false, 0, 1, "0", "1"].includes(val)) errors.push("locked must be 0 or 1");
+    else data.locked = val === true || val === 1 || val === "1" ? 1 : 0;
+  }
+
+  if (has("invite_link")) {
+    const val = input.invite_link ? String(input.invite_link).trim() : "";
+    if (val && !/^https?:\/\/\S+$/i.test(val)) errors.push("invite_link must be an http(s) URL");
+    else data.invite_link = val || null;
+  }
+
+  return { errors, data };
+}
+
+// otp_* settings belong to the secret they came with. When validated `data`
+// replaces or clears `currentSecret` (plaintext), every otp_* field it
+// doesn't set goes back to the default (null).
+function withOtpReset(data, currentSecret) {
+  if (data.secret === undefined || data.secret === (currentSecret || null)) return data;
+  return { ...Object.fromEntries(OTP_FIELDS.map(f => [f, null])), ...data };
+}
+
+module.exports = {
+  CREDENTIALS_ROOT,
+  INDEX_ROOT,
+  credentialPath,
+  normalizeOwns,
+  getCredential,
+  saveCredential,
+  updateCredential,
+  removeCredential,
+  listCredentialKeys,
+  rebuildCredentialIndex,
+  nextCredentialKey,
+  validateCredentialInput,
+  withOtpReset
+};
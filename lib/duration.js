@@ -0,0 +1,122 @@
+// lib/duration.js
+// Slot / promo durations. Accepted forms:
+//   6, "6"                 hours (legacy duration_hours)
+//   "90m", "36 hours", "7 days", "2w", "1 day 12 hours", "1.5h"
+//   ISO 8601: "P7D", "PT90M", "P1W", "P1DT12H"
+// Months and years are rejected (their length varies).
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  s: "s",
+  sec: "s",
+  secs: "s",
+  second: "s",
+  seconds: "s",
+  m: "m",
+  min: "m",
+  mins: "m",
+  minute: "m",
+  minutes: "m",
+  h: "h",
+  hr: "h",
+  hrs: "h",
+  hour: "h",
+  hours: "h",
+  d: "d",
+  day: "d",
+  days: "d",
+  w: "w",
+  wk: "w",
+  wks: "w",
+  week: "w",
+  weeks: "w"
+};
+
+const MAX_DURATION_MS = 366 * UNIT_MS.d;
+
+const ISO_RE =
+  /^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+function parseIso(str) {
+  const m = ISO_RE.exec(str.toUpperCase());
+  if (!m || str.toUpperCase() === "P" || /T$/i.test(str)) return null;
+  const [, w, d, h, min, s] = m.map(x => (x === undefined ? 0 : Number(x)));
+  return w * UNIT_MS.w + d * UNIT_MS.d + h * UNIT_MS.h + min * UNIT_MS.m + s * UNIT_MS.s;
+}
+
+function parseWords(str) {
+  const re = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*,?\s*/gy;
+  let total = 0;
+  let matched = 0;
+  let m;
+  while ((m = re.exec(str)) !== null) {
+    const unit = UNIT_ALIASES[m[2]];
+    if (!unit) return null;
+    total += Number(m[1]) * UNIT_MS[unit];
+    matched = re.lastIndex;
+  }
+  return matched === str.length && matched > 0 ? total : null;
+}
+
+// Duration in milliseconds, or null when missing / unparseable / out of range.
+function parseDuration(val) {
+  if (val === null || val === undefined || val === "") return null;
+
+  let ms = null;
+  if (typeof val === "number") {
+    ms = val * UNIT_MS.h;
+  } else {
+    const str = String(val).trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(str)) ms = Number(str) * UNIT_MS.h;
+    else if (str.startsWith("p")) ms = parseIso(str);
+    else ms = parseWords(str);
+  }
+
+  if (ms === null || !isFinite(ms) || ms <= 0 || ms > MAX_DURATION_MS) return null;
+  return Math.round(ms);
+}
+
+// Canonical ISO 8601 form for storage: 7 days -> "P7D", 90 min -> "PT1H30M".
+function toIsoDuration(ms) {
+  let rest = Math.round(ms / 1000);
+  const d = Math.floor(rest / 86400);
+  rest -= d * 86400;
+  const h = Math.floor(rest / 3600);
+  rest -= h * 3600;
+  const m = Math.floor(rest / 60);
+  const s = rest - m * 60;
+  const time = (h ? `${h}H` : "") + (m ? `${m}M` : "") + (s ? `${s}S` : "");
+  return `P${d ? `${d}D` : ""}${time ? `T${time}` : ""}` || "PT0S";
+}
+
+// Short human form: "7 days", "1 day 12 hours", "90 minutes".
+function describeDuration(ms) {
+  const parts = [];
+  let rest = Math.round(ms / 60000);
+  const units = [
+    ["day", 1440],
+    ["hour", 60],
+    ["minute", 1]
+  ];
+  for (const [name, size] of units) {
+    const n = Math.floor(rest / size);
+    if (!n) continue;
+    rest -= n * size;
+    parts.push(`${n} ${name}${n === 1 ? "" : "s"}`);
+  }
+  return parts.join(" ") || "0 minutes";
+}
+
+module.exports = {
+  MAX_DURATION_MS,
+  parseDuration,
+  toIsoDuration,
+  describeDuration
+};
@@ -0,0 +1,395 @@
+// lib/mail-codes.js
+// Where /account/get-code reads sign-in codes from. settings/mail_code_providers
+// picks a provider per platform (key matched case-insensitively, then
+// "default"); without an entry the OOR mail worker is used, as before:
+//
+//   { netflix: { provider: "imap", host: "imap.example.com", user: "codes@...",
+//                password_env: "MAILCODE_NETFLIX_IMAP_PASSWORD", from: "info@account.netflix.com",
+//                attempts: 4, backoff: "exponential" },
+//     default: { provider: "oor_worker" } }
+//
+// Providers (fetchCode({ email, platform, signal }) resolves to
+// { status: "found", code } | { status: "not_found" } | { status: "error", message }):
+//
+//   oor_worker  GET <url>?mail=&platform=, answers { status, code }
+//               url  (default the oormail worker)
+//   http        any JSON endpoint
+//               url, method (GET), headers, body; {email} / {platform} are
+//               filled in url and body, header values "env:MAILCODE_..." read
+//               env.
+//               code_path ("data.code"), or code_regex over the raw body.
+//               not_found_status ([404]) counts as "no code yet"
+//   imap        newest matching message in a mailbox (imapflow)
+//               host, port (993), secure (true), user, password_env,
+//               mailbox ("INBOX"), from, subject, max_age_seconds (900),
+//               code_regex (first capture group). Only mails to the
+//               credential's address are considered.
+//   mock        no network, for local testing
+//               codes { <email>: "123456" }, code (any other email),
+//               not_found_times (answer not_found that many times first)
+//
+// Retry settings, next to "provider" (defaults in RETRY_DEFAULTS):
+//   attempts        tries in total
+//   timeout_ms      per try
+//   backoff         "fixed" | "linear" | "exponential" wait between tries
+//   backoff_ms      base wait
+//   max_backoff_ms  cap on the wait
+//   retry_on_error  also retry after errors / timeouts, not only not_found
+//
+// Secrets never go in settings: IMAP passwords and HTTP tokens are read from
+// env by name. Only names starting with MAILCODE_ can be read, so whoever can
+// edit these settings can't send SESSION_SECRET, SECRETS_KEY etc. to a URL of
+// their choosing.
+
+const PROVIDERS = ["oor_worker", "http", "imap", "mock"];
+const DEFAULT_PROVIDER = "oor_worker";
+const OOR_WORKER_URL = "https://oormail-services.by-oor.workers.dev/otp";
+const DEFAULT_CODE_REGEX = "\\b(\\d{4,8})\\b";
+
+const RETRY_DEFAULTS = {
+  attempts: 3,
+  timeout_ms: 10000,
+  backoff: "linear",
+  backoff_ms: 1000,
+  max_backoff_ms: 10000,
+  retry_on_error: false
+};
+const BACKOFFS = ["fixed", "linear", "exponential"];
+const ENV_NAME_RE = /^MAILCODE_[A-Z0-9_]+$/;
+
+// Mock providers keep their not_found counters here, per email.
+const mockCalls = new Map();
+
+function fill(template, { email, platform }) {
+  return String(template)
+    .replace(/\{email\}/g, encodeURIComponent(email))
+    .replace(/\{platform\}/g, encodeURIComponent(platform));
+}
+
+function fillBody(template, { email, platform }) {
+  return String(template).replace(/\{email\}/g, email).replace(/\{platform\}/g, platform);
+}
+
+function pick(obj, dotted) {
+  return String(dotted)
+    .split(".")
+    .reduce((cur, k) => (cur !== null && typeof cur === "object" ? cur[k] : undefined), obj);
+}
+
+function matchCode(regex, text) {
+  const m = new RegExp(regex || DEFAULT_CODE_REGEX).exec(String(text || ""));
+  if (!m) return null;
+  return (m[1] ?? m[0]).trim() || null;
+}
+
+// Value of an allowed env var; anything else reads as empty.
+function readEnv(env, name) {
+  return ENV_NAME_RE.test(String(name || "")) ? env[name] || "" : "";
+}
+
+function envHeaders(headers = {}, env) {
+  const out = {};
+  for (const [name, val] of Object.entries(headers)) {
+    const s = String(val);
+    out[name] = s.startsWith("env:") ? readEnv(env, s.slice(4)) : s;
+  }
+  return out;
+}
+
+const providers = {
+  async oor_worker(conf, { email, platform, signal }) {
+    const url = new URL(conf.url || OOR_WORKER_URL);
+    url.searchParams.set("mail", email);
+    url.searchParams.set("platform", platform);
+
+    const resp = await fetch(url.toString(), { signal });
+    let payload;
+    try {
+      payload = JSON.parse(await resp.text());
+    } catch {
+      payload = {};
+    }
+
+    const status = String(payload.status || "").toLowerCase();
+    if (status === "not_found") return { status: "not_found" };
+    if (status === "success") {
+      const code = String(payload.code || "").trim();
+      // "success" without a code has always meant give up, not retry.
+      return code ? { status: "found", code } : { status: "error", message: "Worker sent no code" };
+    }
+    return { status: "error", message: `Worker answered ${resp.status} ${status || "(no status)"}` };
+  },
+
+  async http(conf, { email, platform, signal, env }) {
+    const method = String(conf.method || "GET").toUpperCase();
+    const init = { method, headers: envHeaders(conf.headers, env), signal };
+    if (conf.body !== undefined && method !== "GET") {
+      const body = typeof conf.body === "string" ? conf.body : JSON.stringify(conf.body);
+      init.body = fillBody(body, { email, platform });
+    }
+
+    const resp = await fetch(fill(conf.url, { email, platform }), init);
+    const text = await resp.text();
+    const notFound = conf.not_found_status || [404];
+    if (notFound.includes(resp.status)) return { status: "not_found" };
+    if (!resp.ok) return { status: "error", message: `HTTP ${resp.status}` };
+
+    let code = null;
+    if (conf.code_path) {
+      try {
+        const val = pick(JSON.parse(text), conf.code_path);
+        code = val === undefined || val === null ? null : String(val).trim() || null;
+      } catch {
+        return { status: "error", message: "Response is not JSON" };
+      }
+    } else {
+      code = matchCode(conf.code_regex, text);
+    }
+    return code ? { status: "found", code } : { status: "not_found" };
+  },
+
+  async imap(conf, { email, signal, env }) {
+    // Only loaded when a platform actually uses IMAP.
+    const { ImapFlow } = require("imapflow");
+    const client = new ImapFlow({
+      host: conf.host,
+      port: conf.port || 993,
+      secure: conf.secure !== false,
+      auth: { user: conf.user, pass: readEnv(env, conf.password_env) },
+      logger: false
+    });
+    const abort = () => client.close();
+    signal.addEventListener("abort", abort, { once: true });
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(conf.mailbox || "INBOX");
+      try {
+        const maxAge = (conf.max_age_seconds || 900) * 1000;
+        const query = { to: email, since: new Date(Date.now() - maxAge) };
+        if (conf.from) query.from = conf.from;
+        if (conf.subject) query.subject = conf.subject;
+
+        const uids = (await client.search(query, { uid: true })) || [];
+        // SINCE is day-granular, so check the real arrival time too.
+        for (const uid of [...uids].sort((a, b) => b - a)) {
+          const msg = await client.fetchOne(uid, { internalDate: true, bodyStructure: true }, { uid: true });
+          if (!msg || Date.now() - new Date(msg.internalDate).getTime() > maxAge) continue;
+
+          const part = textPart(msg.bodyStructure);
+          const { content } = await client.download(uid, part ? part.part : undefined, {
+            uid: true,
+            maxBytes: 256 * 1024
+          });
+          let text = "";
+          for await (const chunk of content) text += chunk.toString("utf8");
+          if (part && part.type === "text/html") text = text.replace(/<[^>]*>/g, " ");
+
+          const code = matchCode(conf.code_regex, text);
+          if (code) return { status: "found", code };
+        }
+        return { status: "not_found" };
+      } finally {
+        lock.release();
+      }
+    } finally {
+      signal.removeEventListener("abort", abort);
+      await client.logout().catch(() => {});
+    }
+  },
+
+  async mock(conf, { email }) {
+    const key = email.toLowerCase();
+    const seen = mockCalls.get(key) || 0;
+    if (seen < (conf.not_found_times || 0)) {
+      mockCalls.set(key, seen + 1);
+      return { status: "not_found" };
+    }
+    mockCalls.delete(key);
+
+    const codes = conf.codes || {};
+    const hit = Object.entries(codes).find(([k]) => k.toLowerCase() === key);
+    const code = hit ? hit[1] : conf.code;
+    return code ? { status: "found", code: String(code) } : { status: "not_found" };
+  }
+};
+
+// Plain-text part of a message (HTML if there's none), depth first.
+function textPart(node) {
+  if (!node) return null;
+  if (node.childNodes) {
+    const parts = node.childNodes.map(textPart).filter(Boolean);
+    return parts.find(p => p.type === "text/plain") || parts[0] || null;
+  }
+  if (node.type === "text/plain" || node.type === "text/html") {
+    // Single-part messages have no part number; download the whole body then.
+    return { part: node.part || "1", type: node.type };
+  }
+  return null;
+}
+
+function isRegex(src) {
+  try {
+    new RegExp(src);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const positiveInt = v => Number.isInteger(v) && v > 0;
+const nonNegativeInt = v => Number.isInteger(v) && v >= 0;
+
+// Returns a list of problems with one platform's config (empty when fine).
+function validateMailCodeConfig(conf) {
+  if (!conf || typeof conf !== "object" || Array.isArray(conf)) {
+    return ["config must be an object"];
+  }
+  const errors = [];
+  const provider = conf.provider || DEFAULT_PROVIDER;
+  if (!PROVIDERS.includes(provider)) {
+    return [`provider must be one of: ${PROVIDERS.join(", ")}`];
+  }
+
+  if (conf.attempts !== undefined && !(positiveInt(conf.attempts) && conf.attempts <= 10)) {
+    errors.push("attempts must be a whole number from 1 to 10");
+  }
+  for (const f of ["timeout_ms", "backoff_ms", "max_backoff_ms"]) {
+    if (conf[f] !== undefined && !(nonNegativeInt(conf[f]) && conf[f] <= 60000)) {
+      errors.push(`${f} must be a whole number of milliseconds up to 60000`);
+    }
+  }
+  if (conf.timeout_ms === 0) errors.push("timeout_ms must be above 0");
+  if (conf.backoff !== undefined && !BACKOFFS.includes(conf.backoff)) {
+    errors.push(`backoff must be one of: ${BACKOFFS.join(", ")}`);
+  }
+  if (conf.code_regex !== undefined && !isRegex(conf.code_regex)) {
+    errors.push("code_regex is not a valid regular expression");
+  }
+
+  const validUrl = v => {
+    try {
+      return /^https?:$/.test(new URL(fill(v, { email: "a@b.c", platform: "x" })).protocol);
+    } catch {
+      return false;
+    }
+  };
+
+  if (provider === "oor_worker" && conf.url !== undefined && !validUrl(conf.url)) {
+    errors.push("url must be an http(s) URL");
+  }
+  if (provider === "http") {
+    if (!conf.url || !validUrl(conf.url)) errors.push("url must be an http(s) URL");
+    if (conf.headers !== undefined && (typeof conf.headers !== "object" || Array.isArray(conf.headers))) {
+      errors.push("headers must be an object");
+    } else {
+      for (const [name, val] of Object.entries(conf.headers || {})) {
+        const s = String(val);
+        if (s.startsWith("env:") && !ENV_NAME_RE.test(s.slice(4))) {
+          errors.push(`header ${name}: only env vars named MAILCODE_* can be used`);
+        }
+      }
+    }
+    if (
+      conf.not_found_status !== undefined &&
+      !(Array.isArray(conf.not_found_status) && conf.not_found_status.every(positiveInt))
+    ) {
+      errors.push("not_found_status must be a list of HTTP status codes");
+    }
+  }
+  if (provider === "imap") {
+    if (!conf.host) errors.push("host is required");
+    if (!conf.user) errors.push("user is required");
+    if (!conf.password_env) errors.push("password_env is required (name of the env var holding the password)");
+    else if (!ENV_NAME_RE.test(conf.password_env)) errors.push("password_env must name a MAILCODE_* env var");
+    if (conf.port !== undefined && !(positiveInt(conf.port) && conf.port < 65536)) {
+      errors.push("port must be a valid port number");
+    }
+    if (conf.max_age_seconds !== undefined && !positiveInt(conf.max_age_seconds)) {
+      errors.push("max_age_seconds must be a positive whole number");
+    }
+  }
+  if (provider === "mock") {
+    if (conf.codes !== undefined && (typeof conf.codes !== "object" || Array.isArray(conf.codes))) {
+      errors.push("codes must be an object of email -> code");
+    }
+    if (conf.not_found_times !== undefined && !nonNegativeInt(conf.not_found_times)) {
+      errors.push("not_found_times must be a whole number");
+    }
+  }
+  return errors;
+}
+
+// Config for a platform from the settings/mail_code_providers node.
+function resolveMailCodeConfig(all, platform) {
+  const map = all && typeof all === "object" ? all : {};
+  const key = String(platform || "").toLowerCase();
+  const hit = Object.entries(map).find(([k]) => k.toLowerCase() === key);
+  const conf = hit ? hit[1] : map.default;
+  return conf && typeof conf === "object" ? conf : { provider: DEFAULT_PROVIDER };
+}
+
+function backoffDelay(conf, attempt) {
+  const base = conf.backoff_ms;
+  const wait =
+    conf.backoff === "fixed" ? base :
+    conf.backoff === "exponential" ? base * 2 ** (attempt - 1) :
+    base * attempt;
+  return Math.min(wait, conf.max_backoff_ms);
+}
+
+// Longest a fetchMailCode() run can take with this config: every try timing
+// out plus every wait in between.
+function lookupBudgetMs(conf) {
+  const opts = { ...RETRY_DEFAULTS, ...conf };
+  let total = opts.attempts * opts.timeout_ms;
+  for (let i = 1; i < opts.attempts; i++) total += backoffDelay(opts, i);
+  return total;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Runs the provider with retries. Resolves to { code, attempts, status }
+// with status "found" | "not_found" | "error" (code null unless found).
+// Provider failures don't throw; they're logged and end in "error".
+async function fetchMailCode(conf, { email, platform }, { env = process.env } = {}) {
+  const opts = { ...RETRY_DEFAULTS, ...conf };
+  const run = providers[opts.provider || DEFAULT_PROVIDER];
+
+  let attempts = 0;
+  let status = "not_found";
+  while (attempts < opts.attempts) {
+    attempts += 1;
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), opts.timeout_ms);
+
+    let result;
+    try {
+      result = await run(opts, { email, platform, env, signal: ctrl.signal });
+    } catch (e) {
+      const message = ctrl.signal.aborted ? `timed out after ${opts.timeout_ms}ms` : e.message;
+      result = { status: "error", message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    status = result.status;
+    if (status === "found") return { code: result.code, attempts, status };
+    if (status === "error") {
+      console.error(`[GetCode] ${opts.provider || DEFAULT_PROVIDER} error:`, result.message);
+      if (!opts.retry_on_error) break;
+    }
+    if (attempts < opts.attempts) await sleep(backoffDelay(opts, attempts));
+  }
+  return { code: null, attempts, status };
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  RETRY_DEFAULTS,
+  validateMailCodeConfig,
+  resolveMailCodeConfig,
+  lookupBudgetMs,
+  fetchMailCode
+};
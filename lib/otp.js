@@ -0,0 +1,219 @@
+// lib/otp.js
+// HOTP (RFC 4226) / TOTP (RFC 6238) codes for /account/get-otp.
+//
+// A credential's OTP settings sit next to its (encrypted) `secret`:
+//
+//   otp_type       "totp" (default) | "hotp"
+//   otp_algorithm  "SHA1" (default) | "SHA256" | "SHA512"
+//   otp_digits     6 (default) - 10
+//   otp_period     TOTP step in seconds, 30 (default)
+//   otp_counter    HOTP: counter for the next code, bumped on every use
+//
+// Missing fields mean the defaults, which is what every credential used
+// before these existed. parseOtpauthUri() turns an
+// otpauth://totp/Label?secret=...&algorithm=SHA256&digits=8&period=60 URI
+// into the same fields. test/otp.test.js checks the RFC 4226 / 6238
+// reference values.
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const OTP_TYPES = ["totp", "hotp"];
+const ALGORITHMS = ["SHA1", "SHA256", "SHA512"];
+const OTP_FIELDS = ["otp_type", "otp_algorithm", "otp_digits", "otp_period", "otp_counter"];
+const OTP_DEFAULTS = { type: "totp", algorithm: "SHA1", digits: 6, period: 30, counter: 0 };
+// RFC 4226 asks for 128 bits; plenty of services still hand out 80.
+const MIN_SECRET_BYTES = 10;
+
+// Secrets are written with spaces or dashes in groups and sometimes in
+// lower case; that's tolerated, anything else isn't.
+function normalizeSecret(secret) {
+  return String(secret || "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+// Strict base32 (RFC 4648) decode. Throws on characters outside the
+// alphabet, padding in the middle and lengths no encoder produces. How much
+// trailing padding there is doesn't matter.
+function decodeBase32(secret) {
+  const clean = normalizeSecret(secret);
+  const body = clean.replace(/=+$/, "");
+  if (!body) throw new Error("secret is empty");
+  if (body.includes("=")) throw new Error("secret has padding in the middle");
+  if ([1, 3, 6].includes(body.length % 8)) {
+    throw new Error("secret has an impossible base32 length");
+  }
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of body) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error(`secret has an invalid base32 character "${ch}"`);
+    value = ((value << 5) | idx) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function encodeBase32(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+// Canonical (unpadded, upper case) form of a secret, or { error }.
+function validateSecret(secret) {
+  let key;
+  try {
+    key = decodeBase32(secret);
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (key.length < MIN_SECRET_BYTES) {
+    return { error: `secret must be at least ${MIN_SECRET_BYTES} bytes (16 base32 characters)` };
+  }
+  return { secret: encodeBase32(key) };
+}
+
+// Checks OTP settings as given by an admin (strings from forms are fine).
+// Returns { errors, data } with data holding otp_* fields for the given keys.
+function validateOtpSettings(input) {
+  const errors = [];
+  const data = {};
+  const has = f => input[f] !== undefined && input[f] !== null && input[f] !== "";
+  const int = v => (typeof v === "number" ? v : /^\d+$/.test(String(v).trim()) ? Number(v) : NaN);
+
+  if (has("otp_type")) {
+    const val = String(input.otp_type).trim().toLowerCase();
+    if (!OTP_TYPES.includes(val)) errors.push(`otp_type must be one of: ${OTP_TYPES.join(", ")}`);
+    else data.otp_type = val;
+  }
+  if (has("otp_algorithm")) {
+    const val = String(input.otp_algorithm).trim().toUpperCase().replace("-", "");
+    if (!ALGORITHMS.includes(val)) errors.push(`otp_algorithm must be one of: ${ALGORITHMS.join(", ")}`);
+    else data.otp_algorithm = val;
+  }
+  if (has("otp_digits")) {
+    const n = int(input.otp_digits);
+    if (!Number.isInteger(n) || n < 6 || n > 10) errors.push("otp_digits must be 6-10");
+    else data.otp_digits = n;
+  }
+  if (has("otp_period")) {
+    const n = int(input.otp_period);
+    if (!Number.isInteger(n) || n < 10 || n > 300) errors.push("otp_period must be 10-300 seconds");
+    else data.otp_period = n;
+  }
+  if (has("otp_counter")) {
+    const n = int(input.otp_counter);
+    if (!Number.isSafeInteger(n) || n < 0) errors.push("otp_counter must be a whole number >= 0");
+    else data.otp_counter = n;
+  }
+  return { errors, data };
+}
+
+// otpauth://totp|hotp/<label>?secret=&issuer=&algorithm=&digits=&period=&counter=
+// Returns { secret, data, issuer, label } (data as in validateOtpSettings)
+// or { error }.
+function parseOtpauthUri(uri) {
+  let url;
+  try {
+    url = new URL(String(uri).trim());
+  } catch {
+    return { error: "otpauth URI is not a valid URI" };
+  }
+  if (url.protocol !== "otpauth:") return { error: "URI must start with otpauth://" };
+
+  const type = url.hostname.toLowerCase();
+  if (!OTP_TYPES.includes(type)) return { error: "otpauth URI type must be totp or hotp" };
+  const q = url.searchParams;
+  if (!q.get("secret")) return { error: "otpauth URI has no secret" };
+  if (type === "hotp" && !q.has("counter")) return { error: "hotp URIs need a counter" };
+
+  const checked = validateSecret(q.get("secret"));
+  if (checked.error) return { error: checked.error };
+
+  // A URI describes the whole setup; what it leaves out is the default.
+  const { errors, data } = validateOtpSettings({
+    otp_type: type,
+    otp_algorithm: q.get("algorithm") || OTP_DEFAULTS.algorithm,
+    otp_digits: q.get("digits") || OTP_DEFAULTS.digits,
+    otp_period: type === "totp" ? q.get("period") || OTP_DEFAULTS.period : null,
+    otp_counter: type === "hotp" ? q.get("counter") : null
+  });
+  if (errors.length) return { error: errors.join("; ") };
+
+  return {
+    secret: checked.secret,
+    data,
+    issuer: q.get("issuer") || null,
+    label: decodeURIComponent(url.pathname.replace(/^\//, "")) || null
+  };
+}
+
+// Effective settings for a credential node, defaults filled in.
+function otpSettings(node = {}) {
+  return {
+    type: node.otp_type || OTP_DEFAULTS.type,
+    algorithm: node.otp_algorithm || OTP_DEFAULTS.algorithm,
+    digits: parseInt(node.otp_digits, 10) || OTP_DEFAULTS.digits,
+    period: parseInt(node.otp_period, 10) || OTP_DEFAULTS.period,
+    counter: parseInt(node.otp_counter, 10) || OTP_DEFAULTS.counter
+  };
+}
+
+// RFC 4226 code for `counter`. `key` is the raw secret bytes.
+function hotp(key, counter, { algorithm = "SHA1", digits = 6 } = {}) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm.toLowerCase(), key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const codeInt =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  // 10 digits is more than a 31-bit value has; those codes just get padded.
+  return (codeInt % 10 ** digits).toString().padStart(digits, "0");
+}
+
+// RFC 6238 code at `now` (millis) plus seconds until it rolls over. The code
+// for the following step comes along too, for callers close to the edge.
+function totp(key, { algorithm = "SHA1", digits = 6, period = 30, now = Date.now() } = {}) {
+  const nowSec = Math.floor(now / 1000);
+  const step = Math.floor(nowSec / period);
+  return {
+    code: hotp(key, step, { algorithm, digits }),
+    ttl: period - (nowSec % period),
+    next_code: hotp(key, step + 1, { algorithm, digits })
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  OTP_TYPES,
+  OTP_FIELDS,
+  OTP_DEFAULTS,
+  decodeBase32,
+  validateSecret,
+  validateOtpSettings,
+  parseOtpauthUri,
+  otpSettings,
+  hotp,
+  totp
+};
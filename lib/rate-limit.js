@@ -0,0 +1,251 @@
+// lib/rate-limit.js
+// Throttling for the code-based endpoints (/user/login, /promo/claim,
+// /account/*), where a bare code in the body is the only credential.
+//
+//   per IP     RATE_LIMIT_IP_MAX requests per RATE_LIMIT_WINDOW_SECONDS
+//   per code   RATE_LIMIT_CODE_MAX requests per window, whoever sends them
+//              (server.js leaves shared multi-use promo codes out)
+//   lockout    after RATE_LIMIT_FAIL_THRESHOLD unknown codes from one IP
+//              (within RATE_LIMIT_FAIL_WINDOW_SECONDS) the IP is locked for
+//              RATE_LIMIT_LOCKOUT_SECONDS, doubling with every further
+//              failure up to RATE_LIMIT_LOCKOUT_MAX_SECONDS
+//
+// All three key on req.ip. Behind a proxy or load balancer set TRUST_PROXY
+// (hop count, e.g. 1, or an Express "trust proxy" value) so that's the
+// client's address; otherwise every client shares the proxy's limits and
+// lockouts. The server warns on the first X-Forwarded-For it sees without it.
+//
+// Counters live in a pluggable store with this async API:
+//   incr(key, ttlMs)        -> { count, expiresAt }; starts at 1 with a fresh
+//                              ttl when the key is missing or expired
+//   get(key)                -> { value, expiresAt } or null
+//   set(key, value, ttlMs)
+//   del(key)
+//   entries(prefix)         -> [{ key, value, expiresAt }] of live keys
+//
+// RATE_LIMIT_STORE=memory (default, per process) | storage (runtime/rate_limits
+// in lib/storage.js, shared between instances).
+
+// -------- Memory store --------
+function createMemoryCounterStore({ now = Date.now } = {}) {
+  const map = new Map();
+  let writes = 0;
+
+  function live(key) {
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      map.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Drop expired keys now and then so a scan of random IPs can't grow the map
+  // forever.
+  function sweep() {
+    if (++writes % 1000 !== 0) return;
+    const t = now();
+    for (const [key, entry] of map) {
+      if (entry.expiresAt <= t) map.delete(key);
+    }
+  }
+
+  return {
+    kind: "memory",
+
+    async incr(key, ttlMs) {
+      sweep();
+      const entry = live(key) || { value: 0, expiresAt: now() + ttlMs };
+      entry.value += 1;
+      map.set(key, entry);
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async set(key, value, ttlMs) {
+      sweep();
+      map.set(key, { value, expiresAt: now() + ttlMs });
+    },
+
+    async del(key) {
+      map.delete(key);
+    },
+
+    async entries(prefix = "") {
+      const out = [];
+      for (const key of [...map.keys()]) {
+        if (!key.startsWith(prefix)) continue;
+        const entry = live(key);
+        if (entry) out.push({ key, ...entry });
+      }
+      return out;
+    }
+  };
+}
+
+// -------- Storage-backed store --------
+// Keys are encoded because IPs contain "." (and IPv6 ":"), which Firebase
+// doesn't allow in keys.
+function createStorageCounterStore(db, { root = "runtime/rate_limits", now = Date.now } = {}) {
+  const enc = key => encodeURIComponent(key).replace(/\./g, "%2E");
+  const dec = key => decodeURIComponent(key);
+  const nodePath = key => `${root}/${enc(key)}`;
+
+  return {
+    kind: "storage",
+
+    async incr(key, ttlMs) {
+      const t = now();
+      const { value } = await db.transaction(nodePath(key), cur => {
+        if (!cur || !(cur.expires_at > t)) return { value: 1, expires_at: t + ttlMs };
+        return { ...cur, value: (cur.value || 0) + 1 };
+      });
+      return { count: value.value, expiresAt: value.expires_at };
+    },
+
+    async get(key) {
+      const node = await db.get(nodePath(key));
+      if (!node || !(node.expires_at > now())) return null;
+      return { value: node.value, expiresAt: node.expires_at };
+    },
+
+    async set(key, value, ttlMs) {
+      await db.set(nodePath(key), { value, expires_at: now() + ttlMs });
+    },
+
+    async del(key) {
+      await db.remove(nodePath(key));
+    },
+
+    async entries(prefix = "") {
+      const all = (await db.get(root)) || {};
+      const t = now();
+      const out = [];
+      const stale = {};
+      for (const [raw, node] of Object.entries(all)) {
+        if (!node || !(node.expires_at > t)) {
+          stale[raw] = null;
+          continue;
+        }
+        const key = dec(raw);
+        if (key.startsWith(prefix)) {
+          out.push({ key, value: node.value, expiresAt: node.expires_at });
+        }
+      }
+      // Listing doubles as cleanup of expired counters.
+      if (Object.keys(stale).length) await db.update(root, stale);
+      return out;
+    }
+  };
+}
+
+function createCounterStore(env = process.env, db = null) {
+  const kind = (env.RATE_LIMIT_STORE || "memory").trim().toLowerCase();
+  if (kind === "memory") return createMemoryCounterStore();
+  if (kind === "storage") {
+    if (!db) throw new Error("RATE_LIMIT_STORE=storage needs a storage backend");
+    return createStorageCounterStore(db);
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${kind}"`);
+}
+
+// -------- Limiter --------
+function envInt(env, name, fallback) {
+  const n = parseInt(env[name] ?? "", 10);
+  return isNaN(n) || n < 0 ? fallback : n;
+}
+
+function rateLimitOptions(env = process.env) {
+  return {
+    windowMs: envInt(env, "RATE_LIMIT_WINDOW_SECONDS", 60) * 1000,
+    ipMax: envInt(env, "RATE_LIMIT_IP_MAX", 30),
+    codeMax: envInt(env, "RATE_LIMIT_CODE_MAX", 10),
+    failThreshold: envInt(env, "RATE_LIMIT_FAIL_THRESHOLD", 5),
+    failWindowMs: envInt(env, "RATE_LIMIT_FAIL_WINDOW_SECONDS", 3600) * 1000,
+    lockoutMs: envInt(env, "RATE_LIMIT_LOCKOUT_SECONDS", 60) * 1000,
+    maxLockoutMs: envInt(env, "RATE_LIMIT_LOCKOUT_MAX_SECONDS", 3600) * 1000
+  };
+}
+
+// A limit of 0 switches that check off.
+function createRateLimiter(store, opts = {}, { now = Date.now } = {}) {
+  const o = { ...rateLimitOptions({}), ...opts };
+
+  function lockoutFor(failures) {
+    const extra = Math.min(failures - o.failThreshold, 30);
+    return Math.min(o.lockoutMs * Math.pow(2, extra), o.maxLockoutMs);
+  }
+
+  return {
+    options: o,
+    store,
+
+    // Counts the request and says whether it may go ahead:
+    // { allowed: true } or { allowed: false, reason, retryAfterMs } (plus the
+    // code that went over for CODE_RATE_LIMIT). `code` is one code or a list
+    // of the codes the request names; each counts against codeMax.
+    async check({ ip, code }) {
+      const lock = await store.get(`lock:${ip}`);
+      if (lock) {
+        return { allowed: false, reason: "LOCKED_OUT", retryAfterMs: lock.expiresAt - now() };
+      }
+      if (o.ipMax) {
+        const { count, expiresAt } = await store.incr(`ip:${ip}`, o.windowMs);
+        if (count > o.ipMax) {
+          return { allowed: false, reason: "IP_RATE_LIMIT", retryAfterMs: expiresAt - now() };
+        }
+      }
+      if (o.codeMax) {
+        for (const c of [].concat(code || [])) {
+          const { count, expiresAt } = await store.incr(`code:${c}`, o.windowMs);
+          if (count > o.codeMax) {
+            return { allowed: false, reason: "CODE_RATE_LIMIT", retryAfterMs: expiresAt - now(), code: c };
+          }
+        }
+      }
+      return { allowed: true };
+    },
+
+    // An unknown code from `ip`. Returns { failures, lockedMs } (0 when the
+    // IP isn't locked by this failure).
+    async recordFailure(ip) {
+      if (!o.failThreshold) return { failures: 0, lockedMs: 0 };
+      const { count } = await store.incr(`fail:${ip}`, o.failWindowMs);
+      if (count < o.failThreshold) return { failures: count, lockedMs: 0 };
+      const lockedMs = lockoutFor(count);
+      await store.set(`lock:${ip}`, { failures: count, locked_at: now() }, lockedMs);
+      return { failures: count, lockedMs };
+    },
+
+    async listLockouts() {
+      const locks = await store.entries("lock:");
+      return locks.map(({ key, value, expiresAt }) => ({
+        ip: key.slice("lock:".length),
+        failures: value && value.failures,
+        locked_at: value && value.locked_at ? new Date(value.locked_at).toISOString() : null,
+        locked_until: new Date(expiresAt).toISOString()
+      }));
+    },
+
+    // Admin unlock: clears the lock and the failure count behind it.
+    async clearLockout(ip) {
+      const had = await store.get(`lock:${ip}`);
+      await store.del(`lock:${ip}`);
+      await store.del(`fail:${ip}`);
+      return !!had;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryCounterStore,
+  createStorageCounterStore,
+  createCounterStore,
+  rateLimitOptions,
+  createRateLimiter
+};
@@ -0,0 +1,169 @@
+// lib/secrets.js
+// Envelope encryption for credential passwords / TOTP secrets at rest.
+//
+// Each value gets its own random data key (AES-256-GCM); the data key is
+// wrapped with the master key from env. Stored as one string:
+//
+//   enc:v1:<key id>:<wrapped data key>:<ciphertext>     (base64url parts,
+//                                                        each iv|data|tag)
+//
+// Rotating the master key only re-wraps the data keys (rewrap()), the
+// values themselves aren't re-encrypted.
+//
+//   SECRETS_KEY       current master key, 32 bytes base64 (openssl rand -base64 32)
+//   SECRETS_KEY_ID    its id (default "k1"); letters, digits, _ and -
+//   SECRETS_OLD_KEYS  "<id>:<base64 key>,..." still accepted for decrypting
+//
+// Without SECRETS_KEY values are written in plaintext as before and only
+// plaintext can be read. Plaintext values read fine in any case, so a
+// half-migrated database keeps working.
+
+const crypto = require("crypto");
+
+const PREFIX = "enc:v1:";
+const KEY_ID_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Fields that hold secrets, per node type.
+const CREDENTIAL_SECRET_FIELDS = ["password", "secret"];
+const TRANSACTION_SECRET_FIELDS = ["last_password"];
+
+function isEncrypted(val) {
+  return typeof val === "string" && val.startsWith(PREFIX);
+}
+
+function parseKey(id, b64) {
+  if (!KEY_ID_RE.test(id)) throw new Error(`Invalid secrets key id "${id}"`);
+  const key = Buffer.from(String(b64 || "").trim(), "base64");
+  if (key.length !== 32) throw new Error(`Secrets key "${id}" must be 32 bytes (base64)`);
+  return key;
+}
+
+function gcmEncrypt(key, plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([iv, data, cipher.getAuthTag()]).toString("base64url");
+}
+
+function gcmDecrypt(key, packed) {
+  const buf = Buffer.from(packed, "base64url");
+  if (buf.length < 28) throw new Error("Encrypted value is truncated");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+  decipher.setAuthTag(buf.subarray(buf.length - 16));
+  return Buffer.concat([decipher.update(buf.subarray(12, buf.length - 16)), decipher.final()]);
+}
+
+function createSecretBox(env = process.env) {
+  const keys = new Map();
+  let currentId = null;
+
+  if (env.SECRETS_KEY) {
+    currentId = (env.SECRETS_KEY_ID || "k1").trim();
+    keys.set(currentId, parseKey(currentId, env.SECRETS_KEY));
+  }
+  for (const entry of String(env.SECRETS_OLD_KEYS || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [id, b64] = entry.trim().split(":");
+    if (id === currentId) continue;
+    keys.set(id, parseKey(id, b64));
+  }
+
+  function split(val) {
+    const [kid, wrapped, payload, extra] = val.slice(PREFIX.length).split(":");
+    if (!kid || !wrapped || !payload || extra !== undefined) {
+      throw new Error("Malformed encrypted value");
+    }
+    const kek = keys.get(kid);
+    if (!kek) throw new Error(`No secrets key "${kid}" configured to decrypt this value`);
+    return { kid, kek, wrapped, payload };
+  }
+
+  return {
+    enabled: currentId !== null,
+    currentKeyId: currentId,
+
+    // Encrypt a plaintext value with the current key. Null/empty and
+    // already-encrypted values pass through, as does everything when no key
+    // is configured.
+    encrypt(val) {
+      if (val === null || val === undefined || val === "") return val ?? null;
+      if (isEncrypted(val) || !currentId) return val;
+      const dek = crypto.randomBytes(32);
+      const wrapped = gcmEncrypt(keys.get(currentId), dek);
+      const payload = gcmEncrypt(dek, Buffer.from(String(val), "utf8"));
+      return `${PREFIX}${currentId}:${wrapped}:${payload}`;
+    },
+
+    // Plaintext of a stored value; plaintext values come back unchanged.
+    decrypt(val) {
+      if (!isEncrypted(val)) return val ?? null;
+      const { kek, wrapped, payload } = split(val);
+      const dek = gcmDecrypt(kek, wrapped);
+      return gcmDecrypt(dek, payload).toString("utf8");
+    },
+
+    // Re-wrap an encrypted value's data key with the current key. Returns
+    // the value unchanged if it's plaintext or already on the current key.
+    rewrap(val) {
+      if (!isEncrypted(val) || !currentId) return val;
+      const { kid, kek, wrapped, payload } = split(val);
+      if (kid === currentId) return val;
+      const dek = gcmDecrypt(kek, wrapped);
+      return `${PREFIX}${currentId}:${gcmEncrypt(keys.get(currentId), dek)}:${payload}`;
+    },
+
+    keyIdOf(val) {
+      return isEncrypted(val) ? val.slice(PREFIX.length).split(":")[0] : null;
+    }
+  };
+}
+
+// Copy of `node` with the given fields encrypted.
+function sealFields(box, node, fields) {
+  if (!node || typeof node !== "object") return node;
+  const out = { ...node };
+  for (const f of fields) {
+    if (out[f] !== undefined) out[f] = box.encrypt(out[f]);
+  }
+  return out;
+}
+
+// Multi-path patch (relative to the root) applying `fn` to every stored
+// secret: credential password / secret and transaction last_password. For
+// the migration and key-rotation scripts. Values `fn` throws on are skipped
+// and reported. Returns { patch, failed: [path, message][] }.
+async function buildSecretsPatch(db, fn) {
+  const patch = {};
+  const failed = [];
+  const targets = [
+    ["credentials", CREDENTIAL_SECRET_FIELDS],
+    ["transactions", TRANSACTION_SECRET_FIELDS]
+  ];
+  for (const [root, fields] of targets) {
+    const all = (await db.get(root)) || {};
+    for (const [key, node] of Object.entries(all)) {
+      if (!node || typeof node !== "object") continue;
+      for (const f of fields) {
+        const val = node[f];
+        if (val === undefined || val === null || val === "") continue;
+        const path = `${root}/${key}/${f}`;
+        try {
+          const next = fn(val);
+          if (next !== val) patch[path] = next;
+        } catch (e) {
+          failed.push([path, e.message]);
+        }
+      }
+    }
+  }
+  return { patch, failed };
+}
+
+module.exports = {
+  CREDENTIAL_SECRET_FIELDS,
+  TRANSACTION_SECRET_FIELDS,
+  isEncrypted,
+  createSecretBox,
+  sealFields,
+  buildSecretsPatch
+};
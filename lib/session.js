@@ -0,0 +1,69 @@
+// lib/session.js
+// Signed session tokens for the user portal. /user/login hands one out and
+// the /account/* routes take it instead of the raw transaction code.
+//
+// Token: base64url(JSON claims) + "." + base64url(HMAC-SHA256(claims)), with
+// claims { code, ver, iat, exp } (seconds). `ver` is the transaction's
+// session_version at login; bumping it (admin hide) revokes every token
+// issued before. exp is capped at the transaction's end_time.
+//
+//   SESSION_SECRET       HMAC key; without it a random one is made per
+//                        process, so tokens die on restart
+//   SESSION_TTL_SECONDS  token lifetime (default 3600)
+
+const crypto = require("crypto");
+
+const b64url = buf => Buffer.from(buf).toString("base64url");
+
+function createSessionSigner(env = process.env) {
+  let secret = env.SESSION_SECRET;
+  if (!secret) {
+    console.warn("SESSION_SECRET not set; portal sessions won't survive a restart");
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+  const ttl = parseInt(env.SESSION_TTL_SECONDS || "3600", 10);
+  const ttlSeconds = isNaN(ttl) || ttl <= 0 ? 3600 : ttl;
+
+  const sign = body => b64url(crypto.createHmac("sha256", secret).update(body).digest());
+
+  return {
+    ttlSeconds,
+
+    // Returns { token, expiresAt } (expiresAt a Date).
+    issue({ code, version = 0, endTime = null }, now = Date.now()) {
+      const iat = Math.floor(now / 1000);
+      let exp = iat + ttlSeconds;
+      if (endTime) exp = Math.min(exp, Math.floor(endTime.getTime() / 1000));
+      const body = b64url(JSON.stringify({ code, ver: version, iat, exp }));
+      return { token: `${body}.${sign(body)}`, expiresAt: new Date(exp * 1000) };
+    },
+
+    // { claims, reason }: reason is null for a valid token, "EXPIRED" for one
+    // we signed that has run out (claims still set), "BAD_TOKEN" for anything
+    // we didn't sign or can't read (claims null).
+    verify(token, now = Date.now()) {
+      const bad = { claims: null, reason: "BAD_TOKEN" };
+      if (typeof token !== "string") return bad;
+      const [body, sig, extra] = token.trim().split(".");
+      if (!body || !sig || extra !== undefined) return bad;
+
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(sig);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return bad;
+      }
+
+      let claims;
+      try {
+        claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+      } catch {
+        return bad;
+      }
+      if (!claims || typeof claims.code !== "string") return bad;
+      if (!(claims.exp > now / 1000)) return { claims, reason: "EXPIRED" };
+      return { claims, reason: null };
+    }
+  };
+}
+
+module.exports = { createSessionSigner };
@@ -0,0 +1,257 @@
+// lib/storage.js
+// Small storage layer so routes don't talk to firebase-admin directly.
+//
+// Every backend exposes the same async API, addressed by slash paths
+// ("promo_codes/OOR123", "settings/slots"):
+//   get(path)                 -> value or null
+//   getRange(path, { startAt, endAt })
+//                             -> the children of path whose keys sort between
+//                                startAt and endAt (both included, either may
+//                                be left out), or null; keys compare as strings
+//   set(path, value)          -> replaces the node (null deletes it)
+//   update(path, patch)       -> shallow merge; keys may be nested "a/b" paths
+//   remove(path)
+//   transaction(path, fn)     -> { committed, value }; fn gets the current value
+//                                and returns the new one, or undefined to abort
+//
+// Backends:
+//   firebase  Realtime Database (FIREBASE_DB_URL + FIREBASE_SERVICE_ACCOUNT)
+//   memory    plain object in this process, lost on restart
+//   file      memory backend persisted to a JSON file (STORAGE_FILE)
+const fs = require("fs");
+const path = require("path");
+
+function splitPath(p) {
+  return String(p || "")
+    .split("/")
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function clone(val) {
+  if (val === undefined || val === null) return null;
+  return JSON.parse(JSON.stringify(val));
+}
+
+// Firebase drops empty objects/arrays and null leaves; mirror that so both
+// backends return the same shapes.
+function prune(val) {
+  if (val === null || val === undefined) return null;
+  if (typeof val !== "object") return val;
+  if (Array.isArray(val)) {
+    const out = val.map(prune);
+    return out.every(v => v === null) ? null : out;
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(val)) {
+    const p = prune(v);
+    if (p !== null) out[k] = p;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// -------- Memory backend --------
+function createMemoryStorage({ data = null, onChange = null } = {}) {
+  let root = prune(clone(data)) || {};
+
+  function read(p) {
+    let node = root;
+    for (const part of splitPath(p)) {
+      if (node === null || typeof node !== "object") return null;
+      node = node[part];
+      if (node === undefined) return null;
+    }
+    return node === undefined ? null : node;
+  }
+
+  function write(p, value) {
+    const parts = splitPath(p);
+    const val = prune(clone(value));
+    if (!parts.length) {
+      root = val || {};
+      return;
+    }
+    let node = root;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const part = parts[i];
+      if (node[part] === null || typeof node[part] !== "object") {
+        if (val === null) return;
+        node[part] = {};
+      }
+      node = node[part];
+    }
+    const last = parts[parts.length - 1];
+    if (val === null) delete node[last];
+    else node[last] = val;
+    root = prune(root) || {};
+  }
+
+  function changed() {
+    if (onChange) onChange(root);
+  }
+
+  return {
+    backend: "memory",
+
+    async get(p) {
+      return clone(read(p));
+    },
+
+    async getRange(p, { startAt = null, endAt = null } = {}) {
+      const node = read(p);
+      if (node === null || typeof node !== "object") return null;
+      const out = {};
+      for (const [k, v] of Object.entries(node)) {
+        if (startAt !== null && k < startAt) continue;
+        if (endAt !== null && k > endAt) continue;
+        out[k] = v;
+      }
+      return Object.keys(out).length ? clone(out) : null;
+    },
+
+    async set(p, value) {
+      write(p, value);
+      changed();
+    },
+
+    async update(p, patch) {
+      const base = splitPath(p).join("/");
+      for (const [k, v] of Object.entries(patch || {})) {
+        write(base ? `${base}/${k}` : k, v);
+      }
+      changed();
+    },
+
+    async remove(p) {
+      write(p, null);
+      changed();
+    },
+
+    // Single-threaded, and fn is synchronous, so read-modify-write here is
+    // already atomic; no retry loop needed.
+    async transaction(p, fn) {
+      const current = clone(read(p));
+      const next = fn(current);
+      if (next === undefined) {
+        return { committed: false, value: clone(read(p)) };
+      }
+      write(p, next);
+      changed();
+      return { committed: true, value: clone(read(p)) };
+    },
+
+    // Used by tests / dev scripts to inspect the whole tree.
+    dump() {
+      return clone(root) || {};
+    }
+  };
+}
+
+// -------- File backend --------
+function createFileStorage({ file }) {
+  const filePath = path.resolve(file);
+  let data = null;
+  if (fs.existsSync(filePath)) {
+    const text = fs.readFileSync(filePath, "utf8");
+    data = text.trim() ? JSON.parse(text) : null;
+  }
+
+  const store = createMemoryStorage({
+    data,
+    onChange: root => {
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(root, null, 2));
+      fs.renameSync(tmp, filePath);
+    }
+  });
+  store.backend = "file";
+  return store;
+}
+
+// -------- Firebase backend --------
+function createFirebaseStorage({ databaseURL, serviceAccount }) {
+  const admin = require("firebase-admin");
+
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL
+    });
+  }
+  const database = admin.database();
+  const ref = p => database.ref(splitPath(p).join("/") || "/");
+
+  return {
+    backend: "firebase",
+
+    async get(p) {
+      const snap = await ref(p).get();
+      return snap.exists() ? snap.val() : null;
+    },
+
+    async getRange(p, { startAt = null, endAt = null } = {}) {
+      let query = ref(p).orderByKey();
+      if (startAt !== null) query = query.startAt(startAt);
+      if (endAt !== null) query = query.endAt(endAt);
+      const snap = await query.get();
+      return snap.exists() ? snap.val() : null;
+    },
+
+    async set(p, value) {
+      await ref(p).set(value === undefined ? null : value);
+    },
+
+    async update(p, patch) {
+      await ref(p).update(patch || {});
+    },
+
+    async remove(p) {
+      await ref(p).remove();
+    },
+
+    async transaction(p, fn) {
+      const result = await ref(p).transaction(fn);
+      return {
+        committed: result.committed,
+        value: result.snapshot.exists() ? result.snapshot.val() : null
+      };
+    }
+  };
+}
+
+// Picks a backend from env. STORAGE_BACKEND wins; otherwise firebase.
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "firebase").trim().toLowerCase();
+
+  if (backend === "memory") {
+    return createMemoryStorage();
+  }
+
+  if (backend === "file") {
+    return createFileStorage({ file: env.STORAGE_FILE || "data.json" });
+  }
+
+  if (backend !== "firebase") {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+
+  if (!env.FIREBASE_DB_URL || !env.FIREBASE_SERVICE_ACCOUNT) {
+    throw new Error("Missing FIREBASE_DB_URL or FIREBASE_SERVICE_ACCOUNT");
+  }
+
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(env.FIREBASE_SERVICE_ACCOUNT);
+  } catch (e) {
+    throw new Error(`Failed to parse FIREBASE_SERVICE_ACCOUNT: ${e.message}`);
+  }
+
+  return createFirebaseStorage({ databaseURL: env.FIREBASE_DB_URL, serviceAccount });
+}
+
+module.exports = {
+  createStorage,
+  createMemoryStorage,
+  createFileStorage,
+  createFirebaseStorage
+};
@@ -0,0 +1,152 @@
+// lib/time.js
+// Time handling that doesn't depend on the host's TZ.
+//
+// Stored times (transaction start_time / end_time etc.) are ISO 8601 with an
+// explicit offset in the deployment's display zone, e.g.
+// "2024-05-01T18:30:00+05:30", so they sort, parse and read the same on any
+// server. Older records hold "YYYY-MM-DD HH:MM:SS" wall-clock strings that
+// were written in the host's local time; those are read in LEGACY_TIME_ZONE
+// until scripts/migrate-times.js rewrites them.
+//
+//   DISPLAY_TIME_ZONE  IANA zone for stored offsets and display (Asia/Kolkata)
+//   LEGACY_TIME_ZONE   zone the old strings were written in (= display zone)
+
+const DISPLAY_TIME_ZONE = process.env.DISPLAY_TIME_ZONE || "Asia/Kolkata";
+const LEGACY_TIME_ZONE = process.env.LEGACY_TIME_ZONE || DISPLAY_TIME_ZONE;
+
+const LEGACY_RE = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const pad = n => String(n).padStart(2, "0");
+
+const partsFormatters = new Map();
+function partsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+      })
+    );
+  }
+  return partsFormatters.get(timeZone);
+}
+
+// Fail at startup on a bad zone name rather than on the first request.
+partsFormatter(DISPLAY_TIME_ZONE);
+partsFormatter(LEGACY_TIME_ZONE);
+
+// Wall-clock fields of `date` in `timeZone`.
+function zonedParts(date, timeZone) {
+  const out = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") out[type] = parseInt(value, 10);
+  }
+  return out;
+}
+
+// Offset of `timeZone` from UTC at `date`, in minutes (IST = 330).
+function zoneOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// The instant at which the wall clock in `timeZone` reads the given fields.
+function zonedTimeToDate(fields, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = fields;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset around DST changes.
+  let ts = wall - zoneOffsetMinutes(new Date(wall), timeZone) * 60000;
+  ts = wall - zoneOffsetMinutes(new Date(ts), timeZone) * 60000;
+  return new Date(ts);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// ISO 8601 with the display zone's offset: 2024-05-01T18:30:00+05:30
+function formatDateTime(date, timeZone = DISPLAY_TIME_ZONE) {
+  const p = zonedParts(date, timeZone);
+  const offset = formatOffset(zoneOffsetMinutes(date, timeZone));
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}` +
+    `T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset}`
+  );
+}
+
+// Human-readable form for UIs: 2024-05-01 18:30:00 GMT+5:30
+function formatDisplay(date, timeZone = DISPLAY_TIME_ZONE) {
+  if (!date) return null;
+  const p = zonedParts(date, timeZone);
+  const zoneName =
+    new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+      .formatToParts(date)
+      .find(x => x.type === "timeZoneName")?.value || timeZone;
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)} ` +
+    `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)} ${zoneName}`
+  );
+}
+
+function isLegacyDateTime(str) {
+  return typeof str === "string" && LEGACY_RE.test(str.trim());
+}
+
+// Parse a stored time: ISO with offset / Z, epoch millis, or a legacy
+// wall-clock string (read in LEGACY_TIME_ZONE). Returns a Date or null.
+function parseDateTime(val, legacyZone = LEGACY_TIME_ZONE) {
+  if (val === null || val === undefined || val === "") return null;
+  if (typeof val === "number") {
+    const d = new Date(val);
+    return isNaN(d.getTime()) ? null : d;
+  }
+  const str = String(val).trim();
+  const m = LEGACY_RE.exec(str);
+  if (m) {
+    return zonedTimeToDate(
+      {
+        year: +m[1],
+        month: +m[2],
+        day: +m[3],
+        hour: +m[4],
+        minute: +m[5],
+        second: m[6] ? +m[6] : 0
+      },
+      legacyZone
+    );
+  }
+  const d = new Date(str);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// First instant after a YYYY-MM-DD calendar day ends in the display zone
+// (credential expiry_date is inclusive). Null if unparseable.
+function endOfDay(dateStr, timeZone = DISPLAY_TIME_ZONE) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateStr || "").trim());
+  if (!m) return null;
+  const next = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3] + 1));
+  return zonedTimeToDate(
+    { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() },
+    timeZone
+  );
+}
+
+module.exports = {
+  DISPLAY_TIME_ZONE,
+  LEGACY_TIME_ZONE,
+  formatDateTime,
+  formatDisplay,
+  parseDateTime,
+  isLegacyDateTime,
+  endOfDay,
+  zonedTimeToDate
+};
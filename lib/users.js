@@ -0,0 +1,155 @@
+// lib/users.js
+// Groups transactions by the user_id they were claimed with:
+//
+//   user_index/<user key>/<transaction code>: true
+//
+// The user key is the user_id with characters storage keys can't hold
+// replaced, so two ids may share a key; readers check trx.user_id.
+// /promo/claim writes the index in the same multi-path write as the
+// transaction; scripts/build-user-index.js backfills older transactions.
+//
+// Per-user claim limits live in settings/user_limits:
+//
+//   { max_active: { default: 0, netflix: 1 },   active transactions per
+//                                                platform
+//     groups: { free_trial: 1 } }               claims per user of promo
+//                                                codes with that limit_group
+//
+// 0 means no limit. A promo code's limit_group that isn't listed under
+// groups allows 1.
+
+const USER_INDEX_ROOT = "user_index";
+const USER_LIMITS_SETTINGS = "settings/user_limits";
+const LIMIT_GROUP_RE = /^[a-z0-9_-]{1,40}$/;
+
+function userKey(userId) {
+  return String(userId ?? "").trim().replace(/[.#$[\]/]/g, "_") || "_";
+}
+
+function userIndexPath(userId, code) {
+  return `${USER_INDEX_ROOT}/${userKey(userId)}/${code}`;
+}
+
+// Transactions of one user as [code, trx] pairs (the user_id must match
+// exactly).
+async function listUserTransactions(db, userId) {
+  const codes = Object.keys((await db.get(`${USER_INDEX_ROOT}/${userKey(userId)}`)) || {});
+  const out = [];
+  for (const code of codes) {
+    const trx = await db.get(`transactions/${code}`);
+    if (trx && String(trx.user_id) === String(userId)) out.push([code, trx]);
+  }
+  return out;
+}
+
+// Index entries missing for transactions/, as a multi-path patch. Entries
+// are only ever added; stale ones are harmless since readers check user_id.
+async function buildUserIndexPatch(db) {
+  const all = (await db.get("transactions")) || {};
+  const index = (await db.get(USER_INDEX_ROOT)) || {};
+  const patch = {};
+  for (const [code, trx] of Object.entries(all)) {
+    if (!trx || trx.user_id === undefined || trx.user_id === null || trx.user_id === "") continue;
+    const key = userKey(trx.user_id);
+    if (!index[key] || !index[key][code]) patch[userIndexPath(trx.user_id, code)] = true;
+  }
+  return patch;
+}
+
+// Clean a limit_group from admin input: { group } (null when empty) or
+// { error }.
+function parseLimitGroup(val) {
+  if (val === undefined || val === null || val === "") return { group: null };
+  const group = String(val).trim().toLowerCase();
+  if (!LIMIT_GROUP_RE.test(group)) {
+    return { error: "limitGroup must be 1-40 lowercase letters, digits, _ or -" };
+  }
+  return { group };
+}
+
+// Checks settings/user_limits as given by an admin. Returns { errors, data }
+// with the counts as integers.
+function validateUserLimits(input) {
+  const errors = [];
+  const data = { max_active: {}, groups: {} };
+  const conf = input && typeof input === "object" ? input : {};
+  for (const section of ["max_active", "groups"]) {
+    const entries = conf[section] === undefined || conf[section] === null ? {} : conf[section];
+    if (typeof entries !== "object" || Array.isArray(entries)) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+    for (const [key, val] of Object.entries(entries)) {
+      const name = String(key).trim().toLowerCase();
+      const n = typeof val === "number" ? val : /^\d+$/.test(String(val).trim()) ? Number(val) : NaN;
+      if (!LIMIT_GROUP_RE.test(name)) errors.push(`${section}: invalid key "${key}"`);
+      else if (!Number.isInteger(n) || n < 0) errors.push(`${section}.${name} must be a whole number >= 0`);
+      else data[section][name] = n;
+    }
+  }
+  return { errors, data };
+}
+
+// Limit groups a transaction has used up: the claim's own, plus any codes
+// it was renewed with.
+function limitGroupsOf(trx) {
+  const groups = [];
+  if (trx.limit_group) groups.push(trx.limit_group);
+  for (const r of Array.isArray(trx.renewals) ? trx.renewals : []) {
+    if (r && r.limit_group) groups.push(r.limit_group);
+  }
+  return groups;
+}
+
+// Checks a new claim / renewal against settings/user_limits. `transactions`
+// are the user's [code, trx] pairs, `isActive(trx)` says which still count.
+// Pass platform to check max_active (new claims), group for the promo's
+// limit_group. Returns null, or { reason, message } for the first limit hit.
+function checkUserLimits(limits, transactions, { platform = null, group = null, isActive }) {
+  const conf = limits && typeof limits === "object" ? limits : {};
+
+  if (platform) {
+    const key = String(platform).toLowerCase();
+    const perPlatform = conf.max_active || {};
+    const hit = Object.entries(perPlatform).find(([k]) => k.toLowerCase() === key);
+    const max = parseInt(hit ? hit[1] : perPlatform.default, 10) || 0;
+    if (max > 0) {
+      const active = transactions.filter(
+        ([, trx]) => String(trx.platform || "").toLowerCase() === key && isActive(trx)
+      ).length;
+      if (active >= max) {
+        return {
+          reason: "USER_PLATFORM_LIMIT",
+          message: `You already have ${active} active ${platform} plan${active === 1 ? "" : "s"}, the most allowed.`
+        };
+      }
+    }
+  }
+
+  if (group) {
+    const groups = conf.groups || {};
+    const max = groups[group] === undefined ? 1 : parseInt(groups[group], 10) || 0;
+    if (max > 0) {
+      const used = transactions.flatMap(([, trx]) => limitGroupsOf(trx)).filter(g => g === group).length;
+      if (used >= max) {
+        return {
+          reason: "USER_GROUP_LIMIT",
+          message: max === 1 ? "You've already used a code of this kind." : "You've used all codes of this kind allowed."
+        };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  USER_INDEX_ROOT,
+  USER_LIMITS_SETTINGS,
+  userKey,
+  userIndexPath,
+  listUserTransactions,
+  buildUserIndexPatch,
+  parseLimitGroup,
+  validateUserLimits,
+  checkUserLimits
+};
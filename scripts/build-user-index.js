@@ -0,0 +1,35 @@
+// scripts/build-user-index.js
+// Backfill user_index (see lib/users.js) for transactions claimed before it
+// existed. Only adds missing entries, so re-running is safe.
+//
+//   node scripts/build-user-index.js [--dry-run]
+require("dotenv").config();
+const { createStorage } = require("../lib/storage");
+const { buildUserIndexPatch } = require("../lib/users");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const db = createStorage(process.env);
+
+  const patch = await buildUserIndexPatch(db);
+  const paths = Object.keys(patch);
+  for (const path of paths) console.log(`${dryRun ? "would add" : "add"} ${path}`);
+
+  if (dryRun) {
+    console.log(`Dry run: ${paths.length} index entr${paths.length === 1 ? "y" : "ies"} would be added.`);
+    return;
+  }
+  for (let i = 0; i < paths.length; i += 500) {
+    const chunk = {};
+    for (const path of paths.slice(i, i + 500)) chunk[path] = true;
+    await db.update("/", chunk);
+  }
+  console.log(`Added ${paths.length} index entr${paths.length === 1 ? "y" : "ies"}.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+// scripts/encrypt-secrets.js
+// One-time encryption of plaintext credential passwords / TOTP secrets and
+// transaction last_password values with SECRETS_KEY (see lib/secrets.js).
+// Values that are already encrypted are left alone, so re-running is safe.
+//
+//   node scripts/encrypt-secrets.js [--dry-run]
+require("dotenv").config();
+const { createStorage } = require("../lib/storage");
+const { createSecretBox, buildSecretsPatch } = require("../lib/secrets");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const box = createSecretBox(process.env);
+  if (!box.enabled) {
+    throw new Error("SECRETS_KEY is not set");
+  }
+
+  const db = createStorage(process.env);
+  const { patch, failed } = await buildSecretsPatch(db, val => box.encrypt(val));
+  const paths = Object.keys(patch);
+  for (const path of paths) console.log(`encrypt ${path}`);
+  for (const [path, msg] of failed) console.warn(`skip ${path}: ${msg}`);
+
+  if (dryRun) {
+    console.log(`Dry run: ${paths.length} value(s) would be encrypted with key "${box.currentKeyId}".`);
+    return;
+  }
+  for (let i = 0; i < paths.length; i += 500) {
+    const chunk = {};
+    for (const path of paths.slice(i, i + 500)) chunk[path] = patch[path];
+    await db.update("/", chunk);
+  }
+  console.log(`Encrypted ${paths.length} value(s) with key "${box.currentKeyId}".`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  });
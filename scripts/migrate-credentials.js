@@ -0,0 +1,56 @@
+// scripts/migrate-credentials.js
+// One-time move of legacy top-level credN nodes into credentials/<key>,
+// then rebuild credential_index. Safe to re-run: keys that already exist
+// under credentials/ are left alone.
+//
+//   node scripts/migrate-credentials.js [--dry-run]
+require("dotenv").config();
+const { createStorage } = require("../lib/storage");
+const {
+  CREDENTIALS_ROOT,
+  getCredential,
+  saveCredential,
+  rebuildCredentialIndex
+} = require("../lib/credentials");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const db = createStorage(process.env);
+
+  // Legacy keys are exactly credN; other cred* roots (credentials,
+  // credential_index, credential_rotations) are not credentials.
+  const root = (await db.get("/")) || {};
+  const legacy = Object.entries(root).filter(
+    ([key, node]) => /^cred\d+$/.test(key) && typeof node === "object" && node !== null
+  );
+
+  let moved = 0;
+  for (const [key, node] of legacy) {
+    const existing = await getCredential(db, key);
+    if (existing !== null) {
+      console.warn(`skip ${key}: ${CREDENTIALS_ROOT}/${key} already exists`);
+      continue;
+    }
+    console.log(`${dryRun ? "would move" : "move"} ${key} -> ${CREDENTIALS_ROOT}/${key}`);
+    if (!dryRun) {
+      await saveCredential(db, key, node);
+      await db.remove(key);
+    }
+    moved++;
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: ${moved} of ${legacy.length} credential(s) would move.`);
+    return;
+  }
+
+  const indexed = await rebuildCredentialIndex(db);
+  console.log(`Moved ${moved} credential(s); indexed ${indexed}.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  });
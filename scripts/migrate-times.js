@@ -0,0 +1,70 @@
+// scripts/migrate-times.js
+// Rewrite legacy "YYYY-MM-DD HH:MM:SS" start_time / end_time strings on
+// transactions into ISO 8601 with an explicit offset (see lib/time.js).
+// The old strings are read in LEGACY_TIME_ZONE (override with
+// --from-zone=<IANA zone>) and kept under time_migrated_from on each record.
+// Values that are already ISO are left alone, so re-running is safe.
+//
+//   node scripts/migrate-times.js [--dry-run] [--from-zone=Asia/Kolkata]
+require("dotenv").config();
+const { createStorage } = require("../lib/storage");
+const {
+  LEGACY_TIME_ZONE,
+  formatDateTime,
+  parseDateTime,
+  isLegacyDateTime
+} = require("../lib/time");
+
+const FIELDS = ["start_time", "end_time"];
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const zoneArg = process.argv.find(a => a.startsWith("--from-zone="));
+  const fromZone = zoneArg ? zoneArg.split("=")[1] : LEGACY_TIME_ZONE;
+  // Throws on an unknown zone before anything is written.
+  new Intl.DateTimeFormat("en-US", { timeZone: fromZone });
+
+  const db = createStorage(process.env);
+  const all = (await db.get("transactions")) || {};
+
+  let converted = 0;
+  let skipped = 0;
+  const patch = {};
+
+  for (const [code, trx] of Object.entries(all)) {
+    if (!trx || typeof trx !== "object") continue;
+    const original = {};
+    for (const field of FIELDS) {
+      const val = trx[field];
+      if (!isLegacyDateTime(val)) continue;
+      const d = parseDateTime(val, fromZone);
+      if (!d) {
+        console.warn(`skip ${code}.${field}: can't parse "${val}"`);
+        skipped++;
+        continue;
+      }
+      const next = formatDateTime(d);
+      console.log(`${code}.${field}: ${val} -> ${next}`);
+      patch[`transactions/${code}/${field}`] = next;
+      original[field] = val;
+    }
+    if (Object.keys(original).length) {
+      patch[`transactions/${code}/time_migrated_from`] = { ...original, zone: fromZone };
+      converted++;
+    }
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: ${converted} transaction(s) would change, ${skipped} value(s) skipped.`);
+    return;
+  }
+  if (Object.keys(patch).length) await db.update("/", patch);
+  console.log(`Converted ${converted} transaction(s) from ${fromZone}; ${skipped} value(s) skipped.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+// scripts/prune-audit.js
+// Delete audit_log entries older than AUDIT_RETENTION_DAYS (or --days=N).
+// The server also does this once a day while it runs; this is for cron jobs
+// and one-off cleanups.
+//
+//   node scripts/prune-audit.js [--dry-run] [--days=90]
+require("dotenv").config();
+const { createStorage } = require("../lib/storage");
+const { createAuditLog, retentionDays } = require("../lib/audit");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const daysArg = process.argv.find(a => a.startsWith("--days="));
+  const days = daysArg ? parseInt(daysArg.split("=")[1], 10) : retentionDays();
+  if (isNaN(days) || days <= 0) {
+    throw new Error("--days must be a positive number");
+  }
+
+  const db = createStorage(process.env);
+  const audit = createAuditLog(db, { retention: days });
+  const { cutoff, removed } = await audit.prune({ dryRun });
+
+  if (dryRun) {
+    console.log(`Dry run: ${removed} entr${removed === 1 ? "y" : "ies"} before ${cutoff} would be removed.`);
+    return;
+  }
+  console.log(`Removed ${removed} audit entr${removed === 1 ? "y" : "ies"} before ${cutoff}.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error("Pruning failed:", err);
+    process.exit(1);
+  });
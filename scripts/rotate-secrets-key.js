@@ -0,0 +1,50 @@
+// scripts/rotate-secrets-key.js
+// Re-wrap every encrypted secret's data key with the current SECRETS_KEY.
+// Rotation:
+//   1. generate a new key; set it as SECRETS_KEY with a new SECRETS_KEY_ID
+//   2. move the old one to SECRETS_OLD_KEYS="<old id>:<old key>"
+//   3. deploy, then run this script
+//   4. once it reports nothing left on the old key, drop SECRETS_OLD_KEYS
+// Plaintext values are left alone (use encrypt-secrets.js for those).
+//
+//   node scripts/rotate-secrets-key.js [--dry-run]
+require("dotenv").config();
+const { createStorage } = require("../lib/storage");
+const { createSecretBox, buildSecretsPatch } = require("../lib/secrets");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const box = createSecretBox(process.env);
+  if (!box.enabled) {
+    throw new Error("SECRETS_KEY is not set");
+  }
+
+  const db = createStorage(process.env);
+  const { patch, failed } = await buildSecretsPatch(db, val => box.rewrap(val));
+  const paths = Object.keys(patch);
+  for (const path of paths) console.log(`rewrap ${path}`);
+  for (const [path, msg] of failed) console.warn(`skip ${path}: ${msg}`);
+
+  if (dryRun) {
+    console.log(
+      `Dry run: ${paths.length} value(s) would move to key "${box.currentKeyId}", ${failed.length} can't be read.`
+    );
+    return;
+  }
+  for (let i = 0; i < paths.length; i += 500) {
+    const chunk = {};
+    for (const path of paths.slice(i, i + 500)) chunk[path] = patch[path];
+    await db.update("/", chunk);
+  }
+  console.log(
+    `Moved ${paths.length} value(s) to key "${box.currentKeyId}"; ${failed.length} couldn't be read.`
+  );
+  if (failed.length) process.exitCode = 1;
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch(err => {
+    console.error("Key rotation failed:", err);
+    process.exit(1);
+  });
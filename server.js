@@ -2,41 +2,147 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const admin = require("firebase-admin");
 const path = require("path");
 const crypto = require("crypto");
+const { createStorage } = require("./lib/storage");
+const {
+  DISPLAY_TIME_ZONE,
+  formatDateTime,
+  formatDisplay,
+  parseDateTime,
+  endOfDay
+} = require("./lib/time");
+const { parseDuration, toIsoDuration, describeDuration } = require("./lib/duration");
+const { createCounterStore, rateLimitOptions, createRateLimiter } = require("./lib/rate-limit");
+const { createSessionSigner } = require("./lib/session");
+const { ROLES, ROLE_PERMISSIONS, hasPermission, createAdminKeys } = require("./lib/admin-keys");
+const { createAuditLog } = require("./lib/audit");
+const { CREDENTIAL_SECRET_FIELDS, createSecretBox, sealFields } = require("./lib/secrets");
+const {
+  CREDENTIALS_ROOT,
+  credentialPath,
+  normalizeOwns,
+  getCredential,
+  saveCredential,
+  updateCredential,
+  listCredentialKeys,
+  nextCredentialKey,
+  validateCredentialInput,
+  withOtpReset
+} = require("./lib/credentials");
+const {
+  STRATEGIES,
+  DEFAULT_STRATEGY,
+  STRATEGY_SETTINGS,
+  normalizeStrategy,
+  validateStrategySettings,
+  orderCandidates
+} = require("./lib/credential-strategies");
+const {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  RETRY_DEFAULTS,
+  validateMailCodeConfig,
+  resolveMailCodeConfig,
+  lookupBudgetMs,
+  fetchMailCode
+} = require("./lib/mail-codes");
+const { mailboxKey, createCodeQueue } = require("./lib/code-queue");
+const { OTP_FIELDS, decodeBase32, otpSettings, hotp, totp } = require("./lib/otp");
+const {
+  parseRange,
+  codeStats,
+  claimFailureStats,
+  deliveryStats,
+  activeByPlatform,
+  credentialUtilisation
+} = require("./lib/analytics");
+const {
+  USER_LIMITS_SETTINGS,
+  userKey,
+  userIndexPath,
+  listUserTransactions,
+  parseLimitGroup,
+  validateUserLimits,
+  checkUserLimits
+} = require("./lib/users");
 
 // -------- ENV --------
-const {
-  PORT = 3000,
-  ADMIN_KEY,
-  FIREBASE_DB_URL,
-  FIREBASE_SERVICE_ACCOUNT
-} = process.env;
-
-// -------- Firebase init --------
-if (!FIREBASE_DB_URL || !FIREBASE_SERVICE_ACCOUNT) {
-  console.error("Missing FIREBASE_DB_URL or FIREBASE_SERVICE_ACCOUNT");
+const { PORT = 3000, ADMIN_KEY } = process.env;
+
+// -------- Storage init --------
+// STORAGE_BACKEND=firebase (default) | memory | file, see lib/storage.js
+let db;
+try {
+  db = createStorage(process.env);
+} catch (e) {
+  console.error("Failed to init storage:", e.message);
   process.exit(1);
 }
 
-let serviceAccount;
+// -------- Rate limiting --------
+// Throttles the code-based endpoints, see lib/rate-limit.js for the env knobs.
+let rateLimiter;
 try {
-  serviceAccount = JSON.parse(FIREBASE_SERVICE_ACCOUNT);
+  rateLimiter = createRateLimiter(createCounterStore(process.env, db), rateLimitOptions());
 } catch (e) {
-  console.error("Failed to parse FIREBASE_SERVICE_ACCOUNT:", e);
+  console.error("Failed to init rate limiter:", e.message);
   process.exit(1);
 }
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: FIREBASE_DB_URL
-});
+// -------- Secrets at rest --------
+// SECRETS_KEY etc., see lib/secrets.js
+let secrets;
+try {
+  secrets = createSecretBox(process.env);
+} catch (e) {
+  console.error("Failed to init secrets key:", e.message);
+  process.exit(1);
+}
+if (!secrets.enabled) {
+  console.warn("SECRETS_KEY not set; credential passwords and secrets are stored in plaintext");
+}
 
-const db = admin.database();
+// -------- Portal sessions --------
+const sessions = createSessionSigner(process.env);
+
+// -------- Admin keys --------
+const adminKeys = createAdminKeys(db, { envKey: ADMIN_KEY || null });
+
+// -------- Audit log --------
+// AUDIT_RETENTION_DAYS, see lib/audit.js
+const auditLog = createAuditLog(db);
+
+// Per-mailbox turn-taking for /account/get-code (see lib/code-queue.js).
+const codeQueue = createCodeQueue(db);
+const CODE_LEASE_MARGIN_MS = 5000;
+// Waiters are told to poll within this range; the upper bound has to stay
+// below the queue's stale timeout or they'd lose their place.
+const CODE_POLL_MIN_SECONDS = 6;
+const CODE_POLL_MAX_SECONDS = 20;
 
 // -------- Express init --------
 const app = express();
+// Behind a proxy / load balancer req.ip is only the client's with this set
+// (e.g. TRUST_PROXY=1 for one hop).
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+} else {
+  // Without it every client behind a proxy shares the proxy's IP, so one
+  // IP's rate limit or lockout hits all of them. Say so the first time a
+  // forwarded request shows up.
+  let warnedForwarded = false;
+  app.use((req, res, next) => {
+    if (!warnedForwarded && req.headers["x-forwarded-for"]) {
+      warnedForwarded = true;
+      console.warn(
+        "X-Forwarded-For received but TRUST_PROXY is not set; rate limits and lockouts use the proxy's IP"
+      );
+    }
+    next();
+  });
+}
 app.use(cors());
 app.use(express.json());
 
@@ -48,34 +154,230 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function istNow() {
-  return new Date(); // if you want strict IST, switch to tz lib
+// Sortable unique key for log-style nodes (rotation history etc.)
+function newId() {
+  return `${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
 }
 
-function formatDateTime(now) {
-  const pad = n => String(n).padStart(2, "0");
-  const y = now.getFullYear();
-  const m = pad(now.getMonth() + 1);
-  const d = pad(now.getDate());
-  const hh = pad(now.getHours());
-  const mm = pad(now.getMinutes());
-  const ss = pad(now.getSeconds());
-  return `${y}-${m}-${d} ${hh}:${mm}:${ss}`;
+// start_time / end_time are ISO with offset (see lib/time.js); legacy
+// wall-clock strings still parse in LEGACY_TIME_ZONE.
+function parseEndTime(endStr) {
+  return parseDateTime(endStr);
 }
 
-function parseEndTime(endStr) {
-  if (!endStr) return null;
-  const d = new Date(endStr);
-  if (isNaN(d.getTime())) return null;
-  return d;
+function displayTime(val) {
+  const d = parseDateTime(val);
+  return d ? formatDisplay(d) : null;
+}
+
+// Middleware factory: X-ADMIN-KEY must be a live admin key (lib/admin-keys.js)
+// whose role allows `permission` (any role when omitted). Sets
+// req.admin = { id, name, role }.
+function requireAdmin(permission) {
+  return (req, res, next) => {
+    adminKeys
+      .authenticate(req.header("X-ADMIN-KEY"))
+      .then(admin => {
+        if (!admin) {
+          return res.status(401).json({ success: false, message: "Unauthorized" });
+        }
+        if (permission && !hasPermission(admin.role, permission)) {
+          return res
+            .status(403)
+            .json({ success: false, message: `The ${admin.role} role can't do this` });
+        }
+        req.admin = admin;
+        next();
+      })
+      .catch(err => {
+        console.error("Admin auth failed:", err);
+        res.status(500).json({ success: false, message: "Internal error" });
+      });
+  };
+}
+
+// ----- Brute-force protection for code-based endpoints -----
+const BLOCKED_ROOT = "security/blocked_attempts";
+const BLOCKED_MESSAGES = {
+  LOCKED_OUT: "Too many invalid codes. Try again later.",
+  IP_RATE_LIMIT: "Too many requests. Slow down and try again shortly.",
+  CODE_RATE_LIMIT: "Too many requests for this code. Try again shortly."
+};
+
+function requestCode(req, field = "code") {
+  const code = req.body && req.body[field];
+  return typeof code === "string" && code.trim() ? code.trim().toUpperCase() : null;
+}
+
+// Blocked attempts go to security/blocked_attempts for the admin panel, at
+// most once per IP, route and reason a minute so an attack can't flood it.
+async function logBlockedAttempt(req, reason, extra = {}) {
+  const ip = req.ip || "unknown";
+  const { count } = await rateLimiter.store.incr(`logged:${ip}:${req.path}:${reason}`, 60 * 1000);
+  if (count > 1) return;
+  const entry = { at: nowIso(), ip, route: req.path, code: requestCode(req), reason, ...extra };
+  console.warn(`[rate-limit] ${reason} ip=${ip} route=${req.path} code=${entry.code || "-"}`);
+  await db.set(`${BLOCKED_ROOT}/${newId()}`, entry);
+}
+
+// Codes in the request body that count against the per-code limit: `code`
+// and `promo_code`. A shared (multi-use) promo code in one of `promoFields`
+// is left out, since a giveaway code is meant to be sent by many people at
+// once; guessing codes is still covered by the IP limit and lockouts.
+async function limitedCodes(req, promoFields) {
+  const codes = [];
+  for (const field of ["code", "promo_code"]) {
+    const code = requestCode(req, field);
+    if (!code) continue;
+    if (promoFields.includes(field)) {
+      const promo = await db.get(`promo_codes/${code}`);
+      if (promo && parseInt(promo.max_uses ?? 1, 10) > 1) continue;
+    }
+    codes.push(code);
+  }
+  return codes;
+}
+
+// Middleware: 429 when the IP is locked out or over the per-IP / per-code
+// limits (see limitedCodes for `promoFields`). A broken counter store lets
+// requests through rather than locking every customer out.
+function limitCodeAttempts({ promoFields = ["promo_code"] } = {}) {
+  return (req, res, next) => {
+    const ip = req.ip || "unknown";
+    limitedCodes(req, promoFields)
+      .then(codes => rateLimiter.check({ ip, code: codes }))
+      .then(async result => {
+        if (result.allowed) return next();
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        try {
+          await logBlockedAttempt(req, result.reason, result.code ? { code: result.code } : {});
+        } catch (err) {
+          console.error("Failed to log blocked attempt:", err);
+        }
+        res.set("Retry-After", String(retryAfter));
+        res.status(429).json({
+          success: false,
+          reason: result.reason,
+          message: BLOCKED_MESSAGES[result.reason],
+          retry_after: retryAfter
+        });
+      })
+      .catch(err => {
+        console.error("Rate limit check failed:", err);
+        next();
+      });
+  };
+}
+
+// Call when a request named a code that doesn't exist; repeated misses lock
+// the IP out with a growing lockout.
+async function noteInvalidCode(req) {
+  try {
+    const { failures, lockedMs } = await rateLimiter.recordFailure(req.ip || "unknown");
+    if (lockedMs) {
+      await logBlockedAttempt(req, "LOCKOUT_STARTED", {
+        failures,
+        locked_seconds: Math.round(lockedMs / 1000)
+      });
+    }
+  } catch (err) {
+    console.error("Failed to record invalid code:", err);
+  }
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.header("Authorization") || "");
+  return m ? m[1] : null;
 }
 
-function requireAdmin(req, res, next) {
-  const key = req.header("X-ADMIN-KEY");
-  if (!ADMIN_KEY || key !== ADMIN_KEY) {
-    return res.status(401).json({ success: false, message: "Unauthorized" });
+// Transaction behind an /account/* call. Takes the session token from
+// /user/login (Authorization: Bearer, or body.token); older clients may still
+// send the raw code. Sends the error response (audited under `action`) and
+// returns null when there's no usable transaction (unknown, hidden or
+// expired). With allowExpired an expired transaction is returned too.
+async function loadAccountTransaction(req, res, action, { allowExpired = false } = {}) {
+  const token = bearerToken(req) || (req.body && req.body.token) || null;
+  let normCode;
+  let trx;
+
+  if (token) {
+    const { claims, reason } = sessions.verify(token);
+    trx = claims && !reason ? await db.get(`transactions/${claims.code}`) : null;
+    if (reason || trx === null || trx.hidden === true || (trx.session_version || 0) !== claims.ver) {
+      // Only a token we didn't sign counts as a guess; an expired one is a
+      // user coming back late, and must not lock their IP out.
+      if (reason === "BAD_TOKEN") await noteInvalidCode(req);
+      await audit(req, action, {
+        outcome: "failure",
+        code: claims ? claims.code : null,
+        reason: reason === "EXPIRED" ? "SESSION_EXPIRED" : reason || "SESSION_REVOKED"
+      });
+      res.status(401).json({
+        success: false,
+        session_expired: true,
+        message: "Your session has ended. Log in with your code again."
+      });
+      return null;
+    }
+    normCode = claims.code;
+  } else {
+    const { code } = req.body || {};
+    if (!code) {
+      res.status(400).json({ success: false, message: "token or code is required" });
+      return null;
+    }
+    normCode = code.trim().toUpperCase();
+    trx = await db.get(`transactions/${normCode}`);
+    if (trx === null) {
+      await noteInvalidCode(req);
+      await audit(req, action, { outcome: "failure", code: normCode, reason: "INVALID_CODE" });
+      res.status(404).json({ success: false, message: "Invalid code" });
+      return null;
+    }
+    // Hiding revokes tokens; the raw code has to stop working as well.
+    if (trx.hidden === true) {
+      await audit(req, action, {
+        outcome: "failure",
+        code: normCode,
+        user_id: trx.user_id || null,
+        reason: "HIDDEN"
+      });
+      res.status(403).json({ success: false, message: "This code is no longer active" });
+      return null;
+    }
+  }
+
+  const endTime = parseEndTime(trx.end_time);
+  if (!allowExpired && endTime && endTime.getTime() < Date.now()) {
+    await audit(req, action, {
+      outcome: "failure",
+      code: normCode,
+      user_id: trx.user_id || null,
+      reason: "EXPIRED"
+    });
+    res.status(403).json({ success: false, message: "Your access has expired" });
+    return null;
   }
-  next();
+  return { normCode, trx };
+}
+
+// Audit an /account/* outcome against the transaction it acted on.
+function auditAccount(req, action, { normCode, trx }, fields = {}) {
+  return audit(req, action, {
+    code: normCode,
+    user_id: trx.user_id || null,
+    credential: trx.assign_to || null,
+    ...fields
+  });
+}
+
+// Append an audit entry for this request: the admin key's name or the
+// customer as actor, plus the caller's IP. Fields as in lib/audit.js.
+function audit(req, action, fields = {}) {
+  const actor = req.admin
+    ? { actor_type: "admin", actor: req.admin.name }
+    : { actor_type: "user", actor: fields.user_id || fields.code || null };
+  return auditLog.record({ ...actor, ip: req.ip || null, action, ...fields });
 }
 
 // like Python _resolve_mode for approve_flow_label_mode
@@ -88,32 +390,94 @@ function resolveLabelMode(uiFlags, scope) {
   return legacy ? "platform" : "name";
 }
 
+const DEFAULT_SLOT_DURATION_MS = 6 * 60 * 60 * 1000;
+
+// Access length for a slot: `duration` (any lib/duration.js form) wins over
+// legacy `duration_hours`; neither set means the old 6 hour default.
+// Returns { ms } or { error } when the configured value doesn't parse.
+function resolveSlotDuration(slot) {
+  const raw = slot.duration ?? slot.duration_hours;
+  if (raw === undefined || raw === null || raw === "") {
+    return { ms: DEFAULT_SLOT_DURATION_MS };
+  }
+  const ms = parseDuration(raw);
+  if (ms === null) return { error: `Invalid slot duration "${raw}"` };
+  return { ms };
+}
+
+// Optional duration in admin input; { iso } (null when not given) or { error }.
+function parseDurationInput(val) {
+  if (val === undefined || val === null || val === "") return { iso: null };
+  const ms = parseDuration(val);
+  if (ms === null) {
+    return { error: "duration must be like 90m, 36h, 7 days, 2w or P7D / PT90M (max 366 days)" };
+  }
+  return { iso: toIsoDuration(ms) };
+}
+
 async function getSlot(slotId) {
-  const snap = await db.ref(`settings/slots/${slotId}`).get();
-  if (!snap.exists()) return null;
-  return snap.val();
+  return db.get(`settings/slots/${slotId}`);
+}
+
+// locked / max_usage / expiry_date checks shared by the scan and by
+// reserveCredential (which re-checks inside the transaction).
+function isCredentialUsable(node, today = new Date()) {
+  let locked = 0;
+  let usageCount = 0;
+  let maxUsage = 0;
+  try {
+    locked = parseInt(node.locked ?? 0, 10);
+    usageCount = parseInt(node.usage_count ?? 0, 10);
+    maxUsage = parseInt(node.max_usage ?? 0, 10);
+  } catch {
+    return false;
+  }
+  if (isNaN(usageCount)) usageCount = 0;
+  if (isNaN(maxUsage)) maxUsage = 0;
+
+  if (node.retired) return false;
+  if (locked === 1) return false;
+  if (maxUsage !== 0 && usageCount >= maxUsage) return false;
+
+  if (node.expiry_date) {
+    const exp = endOfDay(node.expiry_date); // end of that day, display zone
+    if (exp && exp < today) return false;
+  }
+  return true;
 }
 
-// Scan DB for credentials like cred2, cred3...
-async function selectCredentialForSlot(slotId, slotInfo) {
-  const rootSnap = await db.ref("/").get();
-  const root = rootSnap.val() || {};
+// Strategy for a claim on this slot, from settings/credential_strategies
+// (see lib/credential-strategies.js).
+async function resolveCredentialStrategy(slotId, slotInfo) {
+  const conf = (await db.get(STRATEGY_SETTINGS)) || {};
+  const platform = (slotInfo.platform || "").toLowerCase();
+
+  const lookup = (map, id) => {
+    if (!map || !id) return null;
+    const hit = Object.entries(map).find(([k]) => k.toLowerCase() === id.toLowerCase());
+    return hit ? normalizeStrategy(hit[1]) : null;
+  };
+
+  return (
+    lookup(conf.slots, slotId) ||
+    lookup(conf.platforms, platform) ||
+    normalizeStrategy(conf.default) ||
+    DEFAULT_STRATEGY
+  );
+}
 
+// Look up credentials through credential_index (see lib/credentials.js).
+// Returns every usable credential for the slot, best match tier first
+// (slot match, then platform, then "all"), each tier ordered by `strategy`.
+async function listCredentialCandidates(slotId, slotInfo, strategy = DEFAULT_STRATEGY) {
   const slotPlatform = (slotInfo.platform || "").toLowerCase();
   const today = new Date();
 
-  const normalizeOwns = val => {
-    if (!val) return [];
-    if (Array.isArray(val)) return val;
-    return String(val)
-      .split(",")
-      .map(v => v.trim())
-      .filter(Boolean);
-  };
+  const keys = await listCredentialKeys(db, { slotId, platform: slotPlatform });
 
   const candidates = [];
-  for (const [key, node] of Object.entries(root)) {
-    if (!key.startsWith("cred")) continue;
+  for (const key of keys) {
+    const node = await getCredential(db, key);
     if (typeof node !== "object" || node === null) continue;
 
     const ownsSlots = new Set(
@@ -128,260 +492,2328 @@ async function selectCredentialForSlot(slotId, slotInfo) {
     const appliesAll = ownsSlots.has("all") || ownsPlats.has("all");
 
     if (!appliesSlot && !appliesPlat && !appliesAll) continue;
+    if (!isCredentialUsable(node, today)) continue;
 
-    let locked = 0;
-    let usageCount = 0;
-    let maxUsage = 0;
-    try {
-      locked = parseInt(node.locked ?? 0, 10);
-      usageCount = parseInt(node.usage_count ?? 0, 10);
-      maxUsage = parseInt(node.max_usage ?? 0, 10);
-    } catch {
-      continue;
+    candidates.push({
+      key,
+      node,
+      rank: appliesSlot ? 0 : appliesPlat ? 1 : 2
+    });
+  }
+
+  let lastKey = null;
+  if (strategy === "round_robin") {
+    lastKey = await db.get(`runtime/credential_rr/${slotId}`);
+  }
+
+  return [0, 1, 2].flatMap(rank =>
+    orderCandidates(
+      strategy,
+      candidates.filter(c => c.rank === rank),
+      { lastKey }
+    )
+  );
+}
+
+// Take one unit of usage_count on a credential. Capacity is re-checked inside
+// the transaction, so two claims can't both take the last unit.
+async function reserveCredential(credKey) {
+  const { committed, value } = await db.transaction(credentialPath(credKey), node => {
+    // Firebase may run this with null before it has the real value; returning
+    // null makes it retry with server data (or no-op if the node is gone).
+    if (node === null) return null;
+    if (!isCredentialUsable(node)) return;
+    let usageCount = parseInt(node.usage_count ?? 0, 10);
+    if (isNaN(usageCount)) usageCount = 0;
+    return { ...node, usage_count: usageCount + 1 };
+  });
+  if (!committed || value === null) return null;
+  return value;
+}
+
+async function releaseCredential(credKey) {
+  await db.transaction(credentialPath(credKey), node => {
+    if (node === null) return null;
+    let usageCount = parseInt(node.usage_count ?? 0, 10);
+    if (isNaN(usageCount) || usageCount <= 0) return;
+    return { ...node, usage_count: usageCount - 1 };
+  });
+}
+
+// Walk the candidates in order until one can actually be reserved; a
+// concurrent claim may have taken the last unit of the first choice.
+async function reserveCredentialForSlot(slotId, slotInfo) {
+  const strategy = await resolveCredentialStrategy(slotId, slotInfo);
+  const candidates = await listCredentialCandidates(slotId, slotInfo, strategy);
+  for (const { key } of candidates) {
+    const node = await reserveCredential(key);
+    if (!node) continue;
+    if (strategy === "round_robin") {
+      await db.set(`runtime/credential_rr/${slotId}`, key);
     }
+    return { key, node, strategy };
+  }
+  return { key: null, node: null, strategy };
+}
 
-    if (locked === 1) continue;
-    if (maxUsage !== 0 && usageCount >= maxUsage) continue;
+// Enabled slots for a platform-mode promo code, in a stable order.
+async function listPlatformSlots(platform) {
+  const platformKey = (platform || "").trim().toLowerCase();
+  if (!platformKey) return [];
 
-    if (node.expiry_date) {
-      try {
-        const [y, m, d] = node.expiry_date.split("-").map(x => parseInt(x, 10));
-        const exp = new Date(y, m - 1, d + 1); // end-of-day
-        if (exp < today) continue;
-      } catch {
-        // ignore
+  const raw = (await db.get("settings/slots")) || {};
+  return Object.entries(raw)
+    .filter(([, data]) => data && data.enabled !== false)
+    .filter(([, data]) => (data.platform || "").toLowerCase() === platformKey)
+    .sort(([a], [b]) => a.localeCompare(b));
+}
+
+function isTransactionActive(trx, now = Date.now()) {
+  if (!trx || trx.hidden === true) return false;
+  const end = parseEndTime(trx.end_time);
+  return !(end && end.getTime() < now);
+}
+
+function transactionStatus(trx, now = Date.now()) {
+  if (trx.hidden === true) return "hidden";
+  return isTransactionActive(trx, now) ? "active" : "expired";
+}
+
+// Transaction as shown in admin lists (no password).
+function transactionSummary(code, trx, now = Date.now()) {
+  return {
+    code,
+    user_id: trx.user_id || null,
+    platform: trx.platform || null,
+    slot_id: trx.slot_id || null,
+    slot_name: trx.slot_name || null,
+    assign_to: trx.assign_to || null,
+    last_email: trx.last_email || null,
+    start_time: trx.start_time || null,
+    end_time: trx.end_time || null,
+    end_time_display: displayTime(trx.end_time),
+    hidden: trx.hidden === true,
+    assignment_pending: trx.assignment_pending === true,
+    terminated_at: trx.terminated_at || null,
+    otp_delivered: !!trx.otp_delivered,
+    code_delivered: !!trx.code_delivered,
+    status: transactionStatus(trx, now)
+  };
+}
+
+// Apply an admin change to a transaction inside a storage transaction and
+// append it to the record's admin_history. `change(trx)` returns the fields
+// to set, or { error, status } to abort (status defaults to 400). Returns
+// { status, message } on failure or { trx } with the updated record.
+async function applyTransactionAdminChange(code, action, reason, change, by = null) {
+  let error = null;
+  const { committed, value } = await db.transaction(`transactions/${code}`, trx => {
+    error = null;
+    if (trx === null) {
+      error = { status: 404, message: "Transaction not found" };
+      return null;
+    }
+    const fields = change(trx);
+    if (fields.error) {
+      error = { status: fields.status || 400, message: fields.error };
+      return;
+    }
+    const history = Array.isArray(trx.admin_history) ? trx.admin_history : [];
+    return {
+      ...trx,
+      ...fields,
+      admin_history: [
+        ...history,
+        { action, at: nowIso(), by, reason: reason ? String(reason).slice(0, 500) : null }
+      ]
+    };
+  });
+  if (error) return error;
+  if (!committed || value === null) {
+    return { status: 409, message: "Update failed, try again" };
+  }
+  return { trx: value };
+}
+
+// Non-hidden, non-expired transactions per assigned credential key.
+async function countActiveTransactionsByCredential() {
+  const all = (await db.get("transactions")) || {};
+  const counts = {};
+  const now = Date.now();
+  for (const trx of Object.values(all)) {
+    if (!trx || !trx.assign_to || !isTransactionActive(trx, now)) continue;
+    counts[trx.assign_to] = (counts[trx.assign_to] || 0) + 1;
+  }
+  return counts;
+}
+
+// Codes of active transactions assigned to a credential.
+async function listActiveTransactionCodes(credKey) {
+  const all = (await db.get("transactions")) || {};
+  const now = Date.now();
+  return Object.entries(all)
+    .filter(([, trx]) => trx && trx.assign_to === credKey && isTransactionActive(trx, now))
+    .map(([code]) => code);
+}
+
+// Credential node as stored: password / secret encrypted.
+function sealCredential(node) {
+  return sealFields(secrets, node, CREDENTIAL_SECRET_FIELDS);
+}
+
+// Credential as shown in admin lists (no password / secret).
+function credentialSummary(key, node, activeCount = 0) {
+  return {
+    key,
+    email: node.email || null,
+    belongs_to_slot: node.belongs_to_slot || null,
+    belongs_to_platform: node.belongs_to_platform || null,
+    usage_count: parseInt(node.usage_count ?? 0, 10) || 0,
+    max_usage: parseInt(node.max_usage ?? 0, 10) || 0,
+    expiry_date: node.expiry_date || null,
+    locked: parseInt(node.locked ?? 0, 10) === 1 ? 1 : 0,
+    retired: !!node.retired,
+    expired_at: node.expired_at || null,
+    has_secret: !!node.secret,
+    otp_type: node.secret ? otpSettings(node).type : null,
+    invite_link: node.invite_link || null,
+    active_transactions: activeCount
+  };
+}
+
+const MAX_BULK_CODES = 1000;
+const PROMO_CODE_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+function randomPromoCode() {
+  let rand = "";
+  for (let i = 0; i < 13; i++) {
+    rand += PROMO_CODE_ALPHABET[crypto.randomInt(PROMO_CODE_ALPHABET.length)];
+  }
+  return "OOR" + rand;
+}
+
+// Write a promo code only if that key is free. Returns false on collision.
+async function createPromoCode(code, payload) {
+  const { committed, value } = await db.transaction(`promo_codes/${code}`, current => {
+    if (current !== null) return;
+    return payload;
+  });
+  return committed && value !== null;
+}
+
+// Slot / platform fields shared by single and bulk generation.
+// Returns { target } or { error }.
+async function resolvePromoTarget({ mode, slotId, platform }) {
+  if (mode === "platform") {
+    const platformName = (platform || "").trim();
+    if (!platformName) return { error: "platform is required" };
+    const slots = await listPlatformSlots(platformName);
+    if (!slots.length) return { error: "No enabled slots for this platform" };
+    return {
+      target: {
+        mode: "platform",
+        slot_id: null,
+        slot_name: null,
+        platform: platformName,
+        amount: 0
       }
+    };
+  }
+
+  if (!slotId) return { error: "slotId is required" };
+  const slot = await getSlot(slotId);
+  if (!slot || slot.enabled === false) return { error: "Slot not found or disabled" };
+  return {
+    target: {
+      mode: "slot",
+      slot_id: slotId,
+      slot_name: slot.name || slotId,
+      platform: slot.platform || null,
+      amount: Number(slot.required_amount ?? 0)
     }
+  };
+}
 
-    candidates.push({
-      key,
-      node,
-      appliesSlot,
-      appliesPlat,
-      appliesAll
-    });
+// max_uses from admin input (`name` is the field for the message):
+// { value } or { error }.
+function parseMaxUses(val, name) {
+  const n = Number(val);
+  if (!Number.isInteger(n) || n < 1) return { error: `${name} must be an integer >= 1` };
+  return { value: n };
+}
+
+// Optional expiry from admin input: { value } (ISO, null when not given) or
+// { error }. An expiry already past would make a dead code.
+function parseExpiresAt(val, name) {
+  if (val === undefined || val === null || val === "") return { value: null };
+  const exp = new Date(val);
+  if (isNaN(exp.getTime())) return { error: `${name} must be a date` };
+  if (exp.getTime() <= Date.now()) return { error: `${name} must be in the future` };
+  return { value: exp.toISOString() };
+}
+
+// A batch and the current summary of each of its codes, or null.
+async function loadBatchCodes(batchId) {
+  const batch = await db.get(`promo_batches/${batchId}`);
+  if (batch === null) return null;
+  const now = Date.now();
+  const codes = [];
+  for (const code of Object.keys(batch.codes || {}).sort()) {
+    const promo = await db.get(`promo_codes/${code}`);
+    if (promo !== null) codes.push(promoSummary(code, promo, now));
+  }
+  return { batch, codes };
+}
+
+const PROMO_STATUSES = ["unused", "partial", "used_up", "expired", "revoked"];
+
+// Lifecycle status of a promo code, in the order claimPromoCodeAtomic checks.
+function promoStatus(promo, now = Date.now()) {
+  if (promo.revoked) return "revoked";
+  if (promo.expires_at) {
+    const exp = new Date(promo.expires_at);
+    if (!isNaN(exp.getTime()) && exp.getTime() < now) return "expired";
   }
+  const usedCount = parseInt(promo.used_count ?? 0, 10) || 0;
+  const maxUses = parseInt(promo.max_uses ?? 1, 10) || 1;
+  if (usedCount >= maxUses) return "used_up";
+  return usedCount > 0 ? "partial" : "unused";
+}
 
-  if (!candidates.length) return { key: null, node: null };
+// Promo code as shown in admin lists (used_by left out).
+function promoSummary(code, promo, now = Date.now()) {
+  return {
+    code,
+    mode: promo.mode || "slot",
+    slot_id: promo.slot_id || null,
+    slot_name: promo.slot_name || null,
+    platform: promo.platform || null,
+    created_by: promo.created_by || null,
+    created_at: promo.created_at || null,
+    expires_at: promo.expires_at || null,
+    duration: promo.duration || null,
+    limit_group: promo.limit_group || null,
+    used_count: parseInt(promo.used_count ?? 0, 10) || 0,
+    max_uses: parseInt(promo.max_uses ?? 1, 10) || 1,
+    last_used_by: promo.last_used_by || null,
+    last_used_at: promo.last_used_at || null,
+    revoked: !!promo.revoked,
+    batch_id: promo.batch_id || null,
+    batch_label: promo.batch_label || null,
+    status: promoStatus(promo, now)
+  };
+}
 
-  let best = candidates.find(c => c.appliesSlot);
-  if (!best) best = candidates.find(c => c.appliesPlat);
-  if (!best) best = candidates.find(c => c.appliesAll);
-  if (!best) return { key: null, node: null };
+// Platform-mode promo codes carry no slot_id, so at claim time we walk the
+// enabled slots of that platform and take the first one where a credential
+// can be reserved. If none can, fall back to the first enabled slot so the
+// claim still produces a transaction (same as a slot code with no credentials).
+async function reservePlatformSlot(platform) {
+  const slots = await listPlatformSlots(platform);
+  if (!slots.length) return null;
+
+  for (const [slotId, slot] of slots) {
+    const { key, node, strategy } = await reserveCredentialForSlot(slotId, slot);
+    if (node) return { slotId, slot, credKey: key, cred: node, strategy };
+  }
 
-  return { key: best.key, node: best.node };
+  const [slotId, slot] = slots[0];
+  return { slotId, slot, credKey: null, cred: null, strategy: null };
 }
 
-// claim_promo_code_atomic equivalent
-async function claimPromoCodeAtomic(code, userId, maxRetries = 4) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    const snap = await db.ref(`promo_codes/${code}`).get();
-    if (!snap.exists()) return [false, "CODE_NOT_FOUND"];
-    const promo = snap.val();
+// -------- Pending assignments --------
+// A claim that finds no free credential still creates its transaction, with
+// assign_to null and assignment_pending true, and queues it here:
+//
+//   pending_assignments/<code>: { queued_at (millis), mode, slot_id, platform }
+//
+// assignPendingTransactions() hands out credentials to the queue in claim
+// order. It runs every PENDING_ASSIGN_INTERVAL_SECONDS and right after a
+// credential is added, edited (unlock, more max_usage) or freed by a
+// reassign. Within one slot (one platform for platform codes) a later
+// claim never gets served before an earlier one.
+const PENDING_ROOT = "pending_assignments";
+const PENDING_ASSIGN_INTERVAL_MS =
+  (parseInt(process.env.PENDING_ASSIGN_INTERVAL_SECONDS || "60", 10) || 60) * 1000;
+// Queue older than this shows as an alert in the admin panel and is logged.
+const PENDING_ALERT_MS =
+  (parseInt(process.env.PENDING_ALERT_MINUTES || "30", 10) || 30) * 60 * 1000;
+const PENDING_ALERT_REPEAT_MS = 60 * 60 * 1000;
+
+function pendingPool(entry) {
+  return entry.mode === "platform"
+    ? `platform:${String(entry.platform || "").toLowerCase()}`
+    : `slot:${entry.slot_id}`;
+}
 
-    if (promo.revoked) return [false, "CODE_REVOKED"];
+// Queue entries, oldest first.
+async function listPendingAssignments() {
+  const all = (await db.get(PENDING_ROOT)) || {};
+  return Object.entries(all)
+    .map(([code, entry]) => ({ code, ...entry }))
+    .sort((a, b) => a.queued_at - b.queued_at || a.code.localeCompare(b.code));
+}
 
-    if (promo.expires_at) {
-      try {
-        const exp = new Date(promo.expires_at);
-        if (!isNaN(exp.getTime()) && exp < new Date()) {
-          return [false, "CODE_EXPIRED"];
-        }
-      } catch {
-        // ignore
+// 1-based place in line among claims waiting on the same slot / platform.
+function pendingPosition(list, code) {
+  const entry = list.find(e => e.code === code);
+  if (!entry) return null;
+  const pool = pendingPool(entry);
+  return list.filter(e => pendingPool(e) === pool).findIndex(e => e.code === code) + 1;
+}
+
+function pendingQueueHealth(list, now = Date.now()) {
+  const oldest = list.length ? list[0].queued_at : null;
+  const ageMs = oldest ? now - oldest : 0;
+  return {
+    total: list.length,
+    oldest_queued_at: oldest ? new Date(oldest).toISOString() : null,
+    oldest_age_seconds: Math.floor(ageMs / 1000),
+    alert: ageMs > PENDING_ALERT_MS,
+    alert_after_minutes: PENDING_ALERT_MS / 60000
+  };
+}
+
+// Reserve a credential for one queue entry. Same lookup as a claim.
+async function reserveForPending(entry) {
+  if (entry.mode === "platform") {
+    const picked = await reservePlatformSlot(entry.platform);
+    if (!picked || !picked.cred) return null;
+    return picked;
+  }
+  const slot = await getSlot(entry.slot_id);
+  if (!slot) return null;
+  const { key, node, strategy } = await reserveCredentialForSlot(entry.slot_id, slot);
+  if (!node) return null;
+  return { slotId: entry.slot_id, slot, credKey: key, cred: node, strategy };
+}
+
+async function runPendingAssignments() {
+  const totals = { assigned: 0, dropped: 0, waiting: 0 };
+  const list = await listPendingAssignments();
+  const exhausted = new Set();
+  const now = Date.now();
+
+  for (const entry of list) {
+    const { code } = entry;
+    const pool = pendingPool(entry);
+    if (exhausted.has(pool)) {
+      totals.waiting += 1;
+      continue;
+    }
+
+    const trx = await db.get(`transactions/${code}`);
+    if (trx === null || trx.hidden === true || trx.assign_to || !isTransactionActive(trx, now)) {
+      // Gone, hidden, expired or assigned by hand meanwhile.
+      const patch = { [`${PENDING_ROOT}/${code}`]: null };
+      if (trx !== null) patch[`transactions/${code}/assignment_pending`] = false;
+      await db.update("/", patch);
+      totals.dropped += 1;
+      continue;
+    }
+
+    const picked = await reserveForPending(entry);
+    if (!picked) {
+      exhausted.add(pool);
+      totals.waiting += 1;
+      continue;
+    }
+
+    const { slotId, slot, credKey, cred, strategy } = picked;
+    const slotName = slot.name || slotId;
+    const { committed, value } = await db.transaction(`transactions/${code}`, current => {
+      if (current === null) return null;
+      if (current.assign_to || current.hidden === true) return;
+      const next = {
+        ...current,
+        assign_to: credKey,
+        credential_strategy: strategy,
+        last_email: cred.email || null,
+        last_password: secrets.encrypt(cred.password || null),
+        assignment_pending: false,
+        assigned_at: nowIso()
+      };
+      if (slotId !== current.slot_id) {
+        next.slot_id = slotId;
+        next.slot_name = slotName;
+        next.headline =
+          current.label_mode === "platform" && current.platform
+            ? `${current.platform} Account`
+            : `${slotName} Account`;
       }
+      return next;
+    });
+    await db.remove(`${PENDING_ROOT}/${code}`);
+
+    if (!committed || value === null || value.assign_to !== credKey) {
+      await releaseCredential(credKey);
+      totals.dropped += 1;
+      continue;
     }
+    totals.assigned += 1;
+    await auditLog.record({
+      actor_type: "system",
+      action: "assignment.assign",
+      code,
+      user_id: value.user_id || null,
+      credential: credKey,
+      slot_id: slotId,
+      details: { waited_seconds: Math.floor((now - entry.queued_at) / 1000) }
+    });
+  }
+  return totals;
+}
 
-    let usedCount = 0;
-    let maxUses = 1;
-    try {
-      usedCount = parseInt(promo.used_count ?? 0, 10);
-      maxUses = parseInt(promo.max_uses ?? 1, 10);
-    } catch {
-      // ignore
+let pendingRun = null;
+let pendingRerun = false;
+let lastPendingAlertAt = 0;
+
+// Runs the queue once; calls made while a run is going ask for one more pass
+// after it (a credential freed mid-run may be for a slot already passed).
+function assignPendingTransactions() {
+  if (pendingRun) {
+    pendingRerun = true;
+    return pendingRun;
+  }
+  pendingRun = (async () => {
+    const totals = { assigned: 0, dropped: 0, waiting: 0 };
+    do {
+      pendingRerun = false;
+      const pass = await runPendingAssignments();
+      totals.assigned += pass.assigned;
+      totals.dropped += pass.dropped;
+      totals.waiting = pass.waiting;
+    } while (pendingRerun);
+
+    const health = pendingQueueHealth(await listPendingAssignments());
+    if (health.alert && Date.now() - lastPendingAlertAt > PENDING_ALERT_REPEAT_MS) {
+      lastPendingAlertAt = Date.now();
+      console.warn(
+        `[assign] ${health.total} claim(s) waiting for a credential, oldest since ${health.oldest_queued_at}`
+      );
+      await auditLog.record({
+        actor_type: "system",
+        action: "assignment.queue_stale",
+        outcome: "failure",
+        details: { total: health.total, oldest_queued_at: health.oldest_queued_at }
+      });
     }
-    if (usedCount >= maxUses) return [false, "CODE_ALREADY_USED_UP"];
+    return totals;
+  })().finally(() => {
+    pendingRun = null;
+  });
+  return pendingRun;
+}
 
-    const newUsedCount = usedCount + 1;
-    const now = nowIso();
+// Fire-and-forget trigger for admin routes that may have freed capacity.
+function kickPendingAssignments() {
+  assignPendingTransactions().catch(err => console.error("[assign] run failed:", err));
+}
 
-    let usedByList = promo.used_by;
-    if (!Array.isArray(usedByList)) usedByList = [];
-    usedByList = [...usedByList, { user_id: userId, used_at: now }];
+// -------- Expiry sweep --------
+// Runs every EXPIRY_SWEEP_INTERVAL_SECONDS (and from POST
+// /admin/maintenance/expiry-sweep):
+//
+// - transactions whose end_time has passed get expired_at and give their
+//   unit of usage_count back to the credential (once: usage_released marks
+//   it, and is set before the release so a crash can't free it twice)
+// - credentials whose expiry_date has passed get expired_at, so the admin
+//   list shows them; claims already skip them
+//
+// Re-running changes nothing new. With dryRun nothing is written and the
+// report says what would change.
+const EXPIRY_SWEEP_INTERVAL_MS =
+  (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_SECONDS || "300", 10) || 300) * 1000;
+
+async function sweepExpired({ dryRun = false } = {}) {
+  const now = Date.now();
+  const report = {
+    dry_run: dryRun,
+    transactions_expired: [],
+    usage_released: {},
+    credentials_expired: [],
+    errors: []
+  };
 
-    const patchPayload = {
-      used_count: newUsedCount,
-      last_used_by: userId,
-      last_used_at: now,
-      used_by: usedByList
-    };
+  const transactions = (await db.get("transactions")) || {};
+  for (const [code, trx] of Object.entries(transactions)) {
+    if (!trx || typeof trx !== "object" || trx.usage_released === true) continue;
+    const end = parseEndTime(trx.end_time);
+    if (!end || end.getTime() >= now) continue;
 
-    try {
-      await db.ref(`promo_codes/${code}`).update(patchPayload);
-    } catch (e) {
-      await new Promise(r => setTimeout(r, 100));
+    const counted = credKey => {
+      report.transactions_expired.push(code);
+      if (credKey) report.usage_released[credKey] = (report.usage_released[credKey] || 0) + 1;
+    };
+    if (dryRun) {
+      counted(trx.assign_to || null);
       continue;
     }
 
-    const afterSnap = await db.ref(`promo_codes/${code}`).get();
-    const after = afterSnap.val() || {};
     try {
-      if (parseInt(after.used_count ?? 0, 10) === newUsedCount) {
-        return [true, after];
-      }
-    } catch {
-      // ignore
+      const { committed, value } = await db.transaction(`transactions/${code}`, current => {
+        if (current === null) return null;
+        if (current.usage_released === true) return;
+        // The snapshot above can be old by now: a renewal or an admin
+        // extension may have made this transaction active again.
+        const currentEnd = parseEndTime(current.end_time);
+        if (!currentEnd || currentEnd.getTime() >= now) return;
+        return {
+          ...current,
+          usage_released: true,
+          expired_at: current.expired_at || nowIso(),
+          assignment_pending: false
+        };
+      });
+      if (!committed || value === null) continue;
+      counted(value.assign_to || null);
+      if (value.assign_to) await releaseCredential(value.assign_to);
+      await db.remove(`${PENDING_ROOT}/${code}`);
+    } catch (err) {
+      report.errors.push({ code, message: err.message });
     }
+  }
+
+  const today = new Date(now);
+  const credentials = (await db.get(CREDENTIALS_ROOT)) || {};
+  for (const [key, node] of Object.entries(credentials)) {
+    if (!node || typeof node !== "object" || node.expired_at || !node.expiry_date) continue;
+    const exp = endOfDay(node.expiry_date);
+    if (!exp || exp >= today) continue;
 
-    await new Promise(r => setTimeout(r, 80));
+    report.credentials_expired.push(key);
+    if (!dryRun) await db.update(credentialPath(key), { expired_at: nowIso() });
   }
-  return [false, "RACE_FAILED"];
+
+  return report;
 }
 
-// ----- TOTP helpers (for Get OTP) -----
-function base32ToBuffer(secret) {
-  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
-  const clean = secret.replace(/[\s=]/g, "").toUpperCase();
-  let bits = "";
-  for (const ch of clean) {
-    const val = alphabet.indexOf(ch);
-    if (val === -1) continue;
-    bits += val.toString(2).padStart(5, "0");
+let sweepRun = null;
+
+// One sweep at a time; a second caller gets the running sweep's report.
+function runExpirySweep(opts = {}) {
+  if (opts.dryRun) return sweepExpired(opts);
+  if (!sweepRun) {
+    sweepRun = sweepExpired(opts).finally(() => {
+      sweepRun = null;
+    });
   }
-  const bytes = [];
-  for (let i = 0; i + 8 <= bits.length; i += 8) {
-    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return sweepRun;
+}
+
+async function scheduledExpirySweep() {
+  try {
+    const report = await runExpirySweep();
+    const changed = report.transactions_expired.length + report.credentials_expired.length;
+    if (changed || report.errors.length) {
+      console.log(
+        `[expiry] ${report.transactions_expired.length} transaction(s) expired, ` +
+          `${report.credentials_expired.length} credential(s) expired, ${report.errors.length} error(s)`
+      );
+      await auditLog.record({
+        actor_type: "system",
+        action: "maintenance.expiry_sweep",
+        outcome: report.errors.length ? "failure" : "success",
+        details: sweepAuditDetails(report)
+      });
+    }
+    // Freed capacity may serve waiting claims.
+    if (report.transactions_expired.length) kickPendingAssignments();
+  } catch (err) {
+    console.error("[expiry] sweep failed:", err);
   }
-  return Buffer.from(bytes);
 }
 
-function generateTotp(secret, step = 30, digits = 6) {
-  const key = base32ToBuffer(secret);
-  const time = Math.floor(Date.now() / 1000 / step);
-  const buf = Buffer.alloc(8);
-  buf.writeBigUInt64BE(BigInt(time));
+// Counts plus the first few keys; a backlog sweep can touch thousands.
+function sweepAuditDetails(report) {
+  return {
+    transactions_expired: report.transactions_expired.length,
+    credentials_expired: report.credentials_expired.length,
+    usage_released: report.usage_released,
+    sample_codes: report.transactions_expired.slice(0, 20),
+    credentials: report.credentials_expired.slice(0, 20),
+    errors: report.errors.slice(0, 20)
+  };
+}
+
+// -------- Per-user limits --------
+// A user's claims and renewals run one at a time, so two concurrent ones
+// can't both pass the limit check. The lock is a lease like the
+// code queue's: a crashed request just lets it run out.
+const USER_CLAIM_LOCK_ROOT = "runtime/user_claim_locks";
+const USER_CLAIM_LOCK_MS = 30 * 1000;
+
+// Returns a token to unlock with, or null if another claim holds the lock.
+async function lockUserClaims(userId) {
+  const token = newId();
+  const { committed } = await db.transaction(`${USER_CLAIM_LOCK_ROOT}/${userKey(userId)}`, lock => {
+    if (lock && lock.lease_until > Date.now()) return;
+    return { token, lease_until: Date.now() + USER_CLAIM_LOCK_MS };
+  });
+  return committed ? token : null;
+}
+
+async function unlockUserClaims(userId, token) {
+  await db.transaction(`${USER_CLAIM_LOCK_ROOT}/${userKey(userId)}`, lock => {
+    // Not aborting on null / someone else's lock: Firebase may run this
+    // with null before it has the real value, and an abort there would
+    // leave our lock in place until its lease runs out.
+    if (!lock || lock.token !== token) return lock;
+    return null;
+  });
+}
+
+// The limit a claim or renewal by `userId` would break, as
+// { reason, message }, or null. Claims still waiting for a credential count
+// as active.
+async function findUserLimitHit(userId, { platform = null, group = null }) {
+  const limits = (await db.get(USER_LIMITS_SETTINGS)) || {};
+  const transactions = await listUserTransactions(db, userId);
+  return checkUserLimits(limits, transactions, { platform, group, isActive: isTransactionActive });
+}
+
+// claim_promo_code_atomic equivalent. All checks and the used_count bump run
+// inside one storage transaction, so concurrent claims can't pass max_uses.
+// `link` is merged into the used_by entry (renewals note the transaction they
+// extended). Returns [true, promo, usedAt] or [false, reason].
+async function claimPromoCodeAtomic(code, userId, link = {}) {
+  const usedAt = nowIso();
+  let reason = null;
+
+  const { committed, value } = await db.transaction(`promo_codes/${code}`, promo => {
+    reason = null;
+    if (promo === null) {
+      reason = "CODE_NOT_FOUND";
+      return null;
+    }
+
+    if (promo.revoked) {
+      reason = "CODE_REVOKED";
+      return;
+    }
+
+    if (promo.expires_at) {
+      const exp = new Date(promo.expires_at);
+      if (!isNaN(exp.getTime()) && exp < new Date()) {
+        reason = "CODE_EXPIRED";
+        return;
+      }
+    }
+
+    let usedCount = parseInt(promo.used_count ?? 0, 10);
+    let maxUses = parseInt(promo.max_uses ?? 1, 10);
+    if (isNaN(usedCount)) usedCount = 0;
+    if (isNaN(maxUses)) maxUses = 1;
+    if (usedCount >= maxUses) {
+      reason = "CODE_ALREADY_USED_UP";
+      return;
+    }
+
+    const usedBy = Array.isArray(promo.used_by) ? promo.used_by : [];
+    return {
+      ...promo,
+      used_count: usedCount + 1,
+      last_used_by: userId,
+      last_used_at: usedAt,
+      used_by: [...usedBy, { user_id: userId, used_at: usedAt, ...link }]
+    };
+  });
 
-  const hmac = crypto.createHmac("sha1", key).update(buf).digest();
-  const offset = hmac[hmac.length - 1] & 0xf;
-  let codeInt =
-    ((hmac[offset] & 0x7f) << 24) |
-    ((hmac[offset + 1] & 0xff) << 16) |
-    ((hmac[offset + 2] & 0xff) << 8) |
-    (hmac[offset + 3] & 0xff);
+  if (reason) return [false, reason];
+  if (!committed || value === null) return [false, "RACE_FAILED"];
+  return [true, value, usedAt];
+}
+
+// Write a transaction only if that key is free. Returns false on collision.
+async function createTransaction(code, record) {
+  const { committed, value } = await db.transaction(`transactions/${code}`, current => {
+    if (current !== null) return;
+    return record;
+  });
+  return committed && value !== null;
+}
 
-  codeInt = codeInt % 10 ** digits;
-  const codeStr = codeInt.toString().padStart(digits, "0");
+// Stores the transaction for one claim of `promo` and returns its key, the
+// code the claimant logs in with, or null. A single-use code is its own
+// login code. Every claim of a multi-use code gets a fresh random one:
+// anyone holding a shared code could guess anything derived from it.
+async function createClaimTransaction(promoCode, promo, record) {
+  const maxUses = parseInt(promo.max_uses ?? 1, 10);
+  if (!(maxUses > 1)) {
+    return (await createTransaction(promoCode, record)) ? promoCode : null;
+  }
+  for (let attempts = 0; attempts < 10; attempts++) {
+    const cand = randomPromoCode();
+    if (await createTransaction(cand, record)) return cand;
+  }
+  return null;
+}
 
-  const nowSec = Math.floor(Date.now() / 1000);
-  const rem = step - (nowSec % step);
-  return { code: codeStr, ttl: rem };
+// Undo one claim made by claimPromoCodeAtomic (used when a later step of
+// /promo/claim fails).
+async function releasePromoCode(code, userId, usedAt) {
+  await db.transaction(`promo_codes/${code}`, promo => {
+    if (promo === null) return null;
+    const usedBy = Array.isArray(promo.used_by) ? [...promo.used_by] : [];
+    const idx = usedBy.findIndex(u => u && u.user_id === userId && u.used_at === usedAt);
+    if (idx === -1) return;
+    usedBy.splice(idx, 1);
+
+    let usedCount = parseInt(promo.used_count ?? 0, 10);
+    if (isNaN(usedCount)) usedCount = 0;
+    const last = usedBy[usedBy.length - 1] || null;
+    return {
+      ...promo,
+      used_count: Math.max(usedCount - 1, 0),
+      last_used_by: last ? last.user_id : null,
+      last_used_at: last ? last.used_at : null,
+      used_by: usedBy
+    };
+  });
 }
 
 // -------- Routes --------
 
-// Health check
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", time: nowIso() });
+// Health check
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", time: nowIso() });
+});
+
+// Admin: list slots for UI
+app.get("/admin/slots", requireAdmin("slots:read"), async (req, res) => {
+  try {
+    const raw = await db.get("settings/slots");
+    if (raw === null) {
+      return res.json({ success: true, slots: [] });
+    }
+    const slots = Object.entries(raw).map(([id, data]) => {
+      const duration = resolveSlotDuration(data);
+      return {
+        id,
+        name: data.name || id,
+        platform: data.platform || null,
+        amount: data.required_amount || null,
+        enabled: data.enabled !== false,
+        duration: duration.ms ? toIsoDuration(duration.ms) : null,
+        duration_label: duration.ms ? describeDuration(duration.ms) : null,
+        duration_error: duration.error || null
+      };
+    });
+    res.json({ success: true, slots });
+  } catch (err) {
+    console.error("Error in /admin/slots:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: update a slot's settings. Durations are validated and stored in
+// canonical ISO form (e.g. "P7D") under `duration`.
+// Body: { name?, platform?, duration?, required_amount?, enabled? }
+app.patch("/admin/slots/:slotId", requireAdmin("settings:write"), async (req, res) => {
+  try {
+    const slotId = req.params.slotId;
+    const slot = await getSlot(slotId);
+    if (slot === null) {
+      return res.status(404).json({ success: false, message: "Slot not found" });
+    }
+
+    const body = req.body || {};
+    const patch = {};
+
+    if (body.duration !== undefined) {
+      const { iso, error } = parseDurationInput(body.duration);
+      if (error || !iso) {
+        return res
+          .status(400)
+          .json({ success: false, message: error || "duration can't be empty" });
+      }
+      patch.duration = iso;
+    }
+    for (const f of ["name", "platform"]) {
+      if (body[f] === undefined) continue;
+      const val = String(body[f] || "").trim();
+      if (!val) {
+        return res.status(400).json({ success: false, message: `${f} can't be empty` });
+      }
+      patch[f] = val;
+    }
+    if (body.required_amount !== undefined) {
+      const n = Number(body.required_amount);
+      if (!isFinite(n) || n < 0) {
+        return res
+          .status(400)
+          .json({ success: false, message: "required_amount must be a number >= 0" });
+      }
+      patch.required_amount = n;
+    }
+    if (body.enabled !== undefined) {
+      if (typeof body.enabled !== "boolean") {
+        return res.status(400).json({ success: false, message: "enabled must be true or false" });
+      }
+      patch.enabled = body.enabled;
+    }
+
+    if (!Object.keys(patch).length) {
+      return res.status(400).json({ success: false, message: "No fields to update" });
+    }
+
+    await db.update(`settings/slots/${slotId}`, patch);
+    await audit(req, "admin.slot.update", { slot_id: slotId, details: patch });
+    const next = { ...slot, ...patch };
+    const duration = resolveSlotDuration(next);
+    res.json({
+      success: true,
+      slot: {
+        id: slotId,
+        ...next,
+        duration: duration.ms ? toIsoDuration(duration.ms) : null,
+        duration_label: duration.ms ? describeDuration(duration.ms) : null,
+        duration_error: duration.error || null
+      }
+    });
+  } catch (err) {
+    console.error("Error in PATCH /admin/slots/:slotId:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// -------- Mail code providers --------
+// Per-platform provider for /account/get-code, see lib/mail-codes.js.
+const MAIL_CODE_SETTINGS = "settings/mail_code_providers";
+
+// Admin: configured providers, plus what's available.
+app.get("/admin/mail-code-providers", requireAdmin("settings:read"), async (req, res) => {
+  try {
+    const all = (await db.get(MAIL_CODE_SETTINGS)) || {};
+    const platforms = Object.entries(all).map(([platform, conf]) => ({
+      platform,
+      ...conf,
+      errors: validateMailCodeConfig(conf)
+    }));
+    res.json({
+      success: true,
+      providers: PROVIDERS,
+      default_provider: DEFAULT_PROVIDER,
+      retry_defaults: RETRY_DEFAULTS,
+      platforms
+    });
+  } catch (err) {
+    console.error("Error in /admin/mail-code-providers:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: set a platform's provider ("default" for the fallback). The body
+// replaces the whole entry. Body: { provider, ...provider settings }
+app.put("/admin/mail-code-providers/:platform", requireAdmin("settings:write"), async (req, res) => {
+  try {
+    const platform = String(req.params.platform || "").trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,40}$/.test(platform)) {
+      return res.status(400).json({ success: false, message: "Invalid platform" });
+    }
+    const conf = { ...(req.body || {}), provider: (req.body || {}).provider || DEFAULT_PROVIDER };
+    const errors = validateMailCodeConfig(conf);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+
+    await db.set(`${MAIL_CODE_SETTINGS}/${platform}`, conf);
+    await audit(req, "admin.mail_code_provider.set", {
+      details: { platform, provider: conf.provider }
+    });
+    res.json({ success: true, platform, config: conf });
+  } catch (err) {
+    console.error("Error in PUT /admin/mail-code-providers/:platform:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: drop a platform's entry so it falls back to "default".
+app.delete("/admin/mail-code-providers/:platform", requireAdmin("settings:write"), async (req, res) => {
+  try {
+    const platform = String(req.params.platform || "").trim().toLowerCase();
+    const existing = await db.get(`${MAIL_CODE_SETTINGS}/${platform}`);
+    if (existing === null) {
+      return res.status(404).json({ success: false, message: "No provider set for this platform" });
+    }
+    await db.remove(`${MAIL_CODE_SETTINGS}/${platform}`);
+    await audit(req, "admin.mail_code_provider.remove", { details: { platform } });
+    res.json({ success: true, platform });
+  } catch (err) {
+    console.error("Error in DELETE /admin/mail-code-providers/:platform:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: generate promo code (slot-based like /gen_code, or platform-based)
+app.post("/admin/gen-code", requireAdmin("codes:create"), async (req, res) => {
+  try {
+    const {
+      mode = "slot",
+      slotId,
+      platform = null,
+      maxUses = 1,
+      expiresAt = null,
+      customCode = null,
+      duration = null,
+      limitGroup = null
+    } = req.body || {};
+    const createdBy = req.admin.name;
+
+    const { error, target } = await resolvePromoTarget({ mode, slotId, platform });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const durationInput = parseDurationInput(duration);
+    if (durationInput.error) {
+      return res.status(400).json({ success: false, message: durationInput.error });
+    }
+    const limit = parseLimitGroup(limitGroup);
+    if (limit.error) {
+      return res.status(400).json({ success: false, message: limit.error });
+    }
+    const uses = parseMaxUses(maxUses, "maxUses");
+    if (uses.error) {
+      return res.status(400).json({ success: false, message: uses.error });
+    }
+    const expiry = parseExpiresAt(expiresAt, "expiresAt");
+    if (expiry.error) {
+      return res.status(400).json({ success: false, message: expiry.error });
+    }
+
+    const payload = {
+      ...target,
+      duration: durationInput.iso,
+      limit_group: limit.group,
+      created_by: createdBy,
+      created_at: nowIso(),
+      custom: !!customCode,
+      expires_at: expiry.value,
+      used_count: 0,
+      max_uses: uses.value,
+      revoked: false
+    };
+
+    // generate or validate code
+    let code;
+    if (customCode) {
+      const custom = customCode.trim().toUpperCase();
+      if (!/^OOR[A-Z0-9]{6,20}$/.test(custom)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "customCode must match OOR[A-Z0-9]{6,20}" });
+      }
+      if (!(await createPromoCode(custom, payload))) {
+        return res.status(400).json({ success: false, message: "Code already exists" });
+      }
+      code = custom;
+    } else {
+      for (let attempts = 0; attempts < 10 && !code; attempts++) {
+        const cand = randomPromoCode();
+        if (await createPromoCode(cand, payload)) code = cand;
+      }
+      if (!code) {
+        return res.status(500).json({ success: false, message: "Failed to generate unique code" });
+      }
+    }
+
+    await audit(req, "admin.code.generate", {
+      code,
+      slot_id: payload.slot_id || null,
+      details: {
+        mode: payload.mode,
+        platform: payload.platform || null,
+        max_uses: uses.value,
+        expires_at: expiry.value,
+        duration: payload.duration,
+        limit_group: payload.limit_group
+      }
+    });
+    return res.json({ success: true, code, promo: payload });
+  } catch (err) {
+    console.error("Error /admin/gen-code:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: generate a batch of random codes sharing one slot/platform, expiry
+// and max_uses. Every code is tagged with batch_id; the batch itself lives
+// under promo_batches/<batchId> with its code list.
+// Body: { mode, slotId | platform, count (1-1000), maxUses, expiresAt, label,
+//   duration (optional override of the slot duration), limitGroup }
+app.post("/admin/gen-codes/bulk", requireAdmin("codes:create"), async (req, res) => {
+  try {
+    const {
+      mode = "slot",
+      slotId,
+      platform = null,
+      count,
+      maxUses = 1,
+      expiresAt = null,
+      label = null,
+      duration = null,
+      limitGroup = null
+    } = req.body || {};
+    const createdBy = req.admin.name;
+
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_BULK_CODES) {
+      return res
+        .status(400)
+        .json({ success: false, message: `count must be an integer from 1 to ${MAX_BULK_CODES}` });
+    }
+
+    const { error, target } = await resolvePromoTarget({ mode, slotId, platform });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const durationInput = parseDurationInput(duration);
+    if (durationInput.error) {
+      return res.status(400).json({ success: false, message: durationInput.error });
+    }
+    const limit = parseLimitGroup(limitGroup);
+    if (limit.error) {
+      return res.status(400).json({ success: false, message: limit.error });
+    }
+    const uses = parseMaxUses(maxUses, "maxUses");
+    if (uses.error) {
+      return res.status(400).json({ success: false, message: uses.error });
+    }
+    const expiry = parseExpiresAt(expiresAt, "expiresAt");
+    if (expiry.error) {
+      return res.status(400).json({ success: false, message: expiry.error });
+    }
+
+    const batchId = `B${newId()}`;
+    const batchLabel = label ? String(label).trim().slice(0, 100) || null : null;
+    const createdAt = nowIso();
+    const payload = {
+      ...target,
+      duration: durationInput.iso,
+      limit_group: limit.group,
+      created_by: createdBy,
+      created_at: createdAt,
+      custom: false,
+      expires_at: expiry.value,
+      used_count: 0,
+      max_uses: uses.value,
+      revoked: false,
+      batch_id: batchId,
+      batch_label: batchLabel
+    };
+
+    // Create in small parallel chunks; a collision just costs one more try.
+    const codes = [];
+    let misses = 0;
+    while (codes.length < n && misses < n + 10) {
+      const chunk = Array.from({ length: Math.min(25, n - codes.length) }, randomPromoCode);
+      const created = await Promise.all(chunk.map(c => createPromoCode(c, payload)));
+      chunk.forEach((c, i) => (created[i] ? codes.push(c) : misses++));
+    }
+
+    const batch = {
+      ...target,
+      label: batchLabel,
+      created_by: createdBy,
+      created_at: createdAt,
+      expires_at: expiry.value,
+      max_uses: uses.value,
+      duration: durationInput.iso,
+      limit_group: limit.group,
+      requested: n,
+      count: codes.length,
+      codes: Object.fromEntries(codes.map(c => [c, true]))
+    };
+    await db.set(`promo_batches/${batchId}`, batch);
+    await audit(req, "admin.code.bulk_generate", {
+      slot_id: target.slot_id || null,
+      outcome: codes.length === n ? "success" : "failure",
+      details: { batch_id: batchId, requested: n, created: codes.length, max_uses: uses.value }
+    });
+
+    if (codes.length < n) {
+      console.warn(`[bulk] batch ${batchId}: created ${codes.length} of ${n} codes`);
+    }
+
+    return res.json({
+      success: codes.length === n,
+      batch_id: batchId,
+      count: codes.length,
+      message: codes.length === n ? undefined : `Only ${codes.length} of ${n} codes were created`,
+      codes
+    });
+  } catch (err) {
+    console.error("Error /admin/gen-codes/bulk:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: list batches, newest first
+app.get("/admin/promo-batches", requireAdmin("codes:read"), async (req, res) => {
+  try {
+    const raw = (await db.get("promo_batches")) || {};
+    const batches = Object.entries(raw)
+      .map(([id, b]) => {
+        const rest = { ...b };
+        delete rest.codes;
+        return { batch_id: id, ...rest };
+      })
+      .sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")));
+    res.json({ success: true, batches });
+  } catch (err) {
+    console.error("Error in /admin/promo-batches:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: batch report with per-status counts
+app.get("/admin/promo-batches/:batchId", requireAdmin("codes:read"), async (req, res) => {
+  try {
+    const batchId = req.params.batchId;
+    const loaded = await loadBatchCodes(batchId);
+    if (!loaded) {
+      return res.status(404).json({ success: false, message: "Batch not found" });
+    }
+    const { batch, codes } = loaded;
+
+    const statusCounts = Object.fromEntries(PROMO_STATUSES.map(st => [st, 0]));
+    let claims = 0;
+    for (const p of codes) {
+      statusCounts[p.status] = (statusCounts[p.status] || 0) + 1;
+      claims += p.used_count;
+    }
+
+    const meta = { ...batch };
+    delete meta.codes;
+    res.json({
+      success: true,
+      batch: { batch_id: batchId, ...meta },
+      status_counts: statusCounts,
+      claims,
+      promo_codes: codes
+    });
+  } catch (err) {
+    console.error("Error in /admin/promo-batches/:batchId:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: download a batch as CSV (default) or JSON
+app.get("/admin/promo-batches/:batchId/export", requireAdmin("codes:read"), async (req, res) => {
+  try {
+    const batchId = req.params.batchId;
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (format !== "csv" && format !== "json") {
+      return res.status(400).json({ success: false, message: "format must be csv or json" });
+    }
+
+    const loaded = await loadBatchCodes(batchId);
+    if (!loaded) {
+      return res.status(404).json({ success: false, message: "Batch not found" });
+    }
+
+    const rows = loaded.codes.map(p => ({
+      code: p.code,
+      slot_id: p.slot_id,
+      slot_name: p.slot_name,
+      platform: p.platform,
+      max_uses: p.max_uses,
+      used_count: p.used_count,
+      expires_at: p.expires_at,
+      status: p.status,
+      batch_id: batchId,
+      batch_label: loaded.batch.label || null
+    }));
+
+    res.setHeader("Content-Disposition", `attachment; filename="${batchId}.${format}"`);
+    if (format === "json") {
+      return res.json(rows);
+    }
+
+    const columns = Object.keys(rows[0] || { code: null });
+    // Text starting with = + - @ (or a tab / CR) is run as a formula by
+    // spreadsheets; a leading ' keeps it plain text.
+    const cell = v => {
+      let str = v === null || v === undefined ? "" : String(v);
+      if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const csv = [columns.join(","), ...rows.map(r => columns.map(c => cell(r[c])).join(","))];
+    res.type("text/csv").send(csv.join("\n") + "\n");
+  } catch (err) {
+    console.error("Error in /admin/promo-batches/:batchId/export:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: revoke (or un-revoke with { revoked: false }) every code in a batch
+app.post("/admin/promo-batches/:batchId/revoke", requireAdmin("codes:manage"), async (req, res) => {
+  try {
+    const batchId = req.params.batchId;
+    const revoked = (req.body || {}).revoked !== false;
+    const batch = await db.get(`promo_batches/${batchId}`);
+    if (batch === null) {
+      return res.status(404).json({ success: false, message: "Batch not found" });
+    }
+
+    let changed = 0;
+    const now = nowIso();
+    for (const code of Object.keys(batch.codes || {})) {
+      const { committed, value } = await db.transaction(`promo_codes/${code}`, promo => {
+        if (promo === null) return null;
+        if (!!promo.revoked === revoked) return;
+        return { ...promo, revoked, updated_at: now };
+      });
+      if (committed && value !== null) changed++;
+    }
+
+    await db.update(`promo_batches/${batchId}`, {
+      revoked,
+      revoked_at: revoked ? now : null,
+      revoked_by: revoked ? req.admin.name : null
+    });
+    await audit(req, revoked ? "admin.batch.revoke" : "admin.batch.unrevoke", {
+      details: { batch_id: batchId, changed }
+    });
+    res.json({ success: true, batch_id: batchId, revoked, changed });
+  } catch (err) {
+    console.error("Error in /admin/promo-batches/:batchId/revoke:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: list / filter promo codes
+// Query: slot, platform, status (unused|partial|used_up|expired|revoked),
+// created_by, batch, q (code substring), limit (default 200)
+app.get("/admin/promo-codes", requireAdmin("codes:read"), async (req, res) => {
+  try {
+    const { slot, platform, status, created_by: createdBy, batch, q } = req.query;
+    if (status && !PROMO_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ success: false, message: `status must be one of ${PROMO_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "200", 10) || 200, 1), 1000);
+
+    const all = (await db.get("promo_codes")) || {};
+    const now = Date.now();
+    const eq = (a, b) => String(a || "").toLowerCase() === String(b).toLowerCase();
+
+    const matches = Object.entries(all)
+      .map(([code, promo]) => promoSummary(code, promo, now))
+      .filter(p => !slot || eq(p.slot_id, slot))
+      .filter(p => !platform || eq(p.platform, platform))
+      .filter(p => !status || p.status === status)
+      .filter(p => !createdBy || eq(p.created_by, createdBy))
+      .filter(p => !batch || p.batch_id === batch)
+      .filter(p => !q || p.code.includes(String(q).trim().toUpperCase()))
+      .sort((a, b) => String(b.created_at || "").localeCompare(String(a.created_at || "")));
+
+    res.json({ success: true, total: matches.length, promo_codes: matches.slice(0, limit) });
+  } catch (err) {
+    console.error("Error in /admin/promo-codes:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: one promo code with its used_by history
+app.get("/admin/promo-codes/:code", requireAdmin("codes:read"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const promo = await db.get(`promo_codes/${code}`);
+    if (promo === null) {
+      return res.status(404).json({ success: false, message: "Code not found" });
+    }
+    res.json({
+      success: true,
+      promo: {
+        ...promoSummary(code, promo),
+        used_by: Array.isArray(promo.used_by) ? promo.used_by.filter(Boolean) : []
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /admin/promo-codes/:code:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: revoke / un-revoke, change expiry, raise max_uses.
+// Body: { revoked?: bool, expires_at?: ISO string | null, max_uses?: int }
+// Runs as a transaction so it can't race a concurrent claim.
+app.patch("/admin/promo-codes/:code", requireAdmin("codes:manage"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const body = req.body || {};
+    const patch = {};
+
+    if (body.revoked !== undefined) {
+      if (typeof body.revoked !== "boolean") {
+        return res.status(400).json({ success: false, message: "revoked must be true or false" });
+      }
+      patch.revoked = body.revoked;
+    }
+
+    if (body.expires_at !== undefined) {
+      const exp = parseExpiresAt(body.expires_at, "expires_at");
+      if (exp.error) {
+        return res.status(400).json({ success: false, message: exp.error });
+      }
+      patch.expires_at = exp.value;
+    }
+
+    if (body.max_uses !== undefined) {
+      const uses = parseMaxUses(body.max_uses, "max_uses");
+      if (uses.error) {
+        return res.status(400).json({ success: false, message: uses.error });
+      }
+      patch.max_uses = uses.value;
+    }
+
+    if (!Object.keys(patch).length) {
+      return res.status(400).json({ success: false, message: "No fields to update" });
+    }
+
+    let error = null;
+    const { committed, value } = await db.transaction(`promo_codes/${code}`, promo => {
+      error = null;
+      if (promo === null) {
+        error = [404, "Code not found"];
+        return null;
+      }
+      const usedCount = parseInt(promo.used_count ?? 0, 10) || 0;
+      if (patch.max_uses !== undefined && patch.max_uses < usedCount) {
+        error = [400, `max_uses can't go below used_count (${usedCount})`];
+        return;
+      }
+      return { ...promo, ...patch, updated_at: nowIso() };
+    });
+
+    if (error) {
+      return res.status(error[0]).json({ success: false, message: error[1] });
+    }
+    if (!committed || value === null) {
+      return res.status(409).json({ success: false, message: "Update failed, try again" });
+    }
+    await audit(req, "admin.code.update", { code, details: patch });
+    res.json({ success: true, promo: promoSummary(code, value) });
+  } catch (err) {
+    console.error("Error in PATCH /admin/promo-codes/:code:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: delete a promo code. Only unused codes; revoke used ones instead so
+// the used_by history stays.
+app.delete("/admin/promo-codes/:code", requireAdmin("codes:manage"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    let error = null;
+    const { committed } = await db.transaction(`promo_codes/${code}`, promo => {
+      error = null;
+      if (promo === null) {
+        error = [404, "Code not found"];
+        return null;
+      }
+      if ((parseInt(promo.used_count ?? 0, 10) || 0) > 0) {
+        error = [409, "Code has been used; revoke it instead"];
+        return;
+      }
+      return null;
+    });
+
+    if (error) {
+      return res.status(error[0]).json({ success: false, message: error[1] });
+    }
+    if (!committed) {
+      return res.status(409).json({ success: false, message: "Delete failed, try again" });
+    }
+    await audit(req, "admin.code.delete", { code });
+    res.json({ success: true, code });
+  } catch (err) {
+    console.error("Error in DELETE /admin/promo-codes/:code:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: list / search transactions
+// Query: code (substring), user_id, slot, credential, status
+// (active|expired|hidden), limit (default 200)
+app.get("/admin/transactions", requireAdmin("transactions:read"), async (req, res) => {
+  try {
+    const { code, user_id: userId, slot, credential, status } = req.query;
+    if (status && !["active", "expired", "hidden"].includes(status)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "status must be active, expired or hidden" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "200", 10) || 200, 1), 1000);
+
+    const all = (await db.get("transactions")) || {};
+    const now = Date.now();
+    const eq = (a, b) => String(a || "").toLowerCase() === String(b).toLowerCase();
+
+    const matches = Object.entries(all)
+      .map(([c, trx]) => transactionSummary(c, trx, now))
+      .filter(t => !code || t.code.includes(String(code).trim().toUpperCase()))
+      .filter(t => !userId || String(t.user_id) === String(userId).trim())
+      .filter(t => !slot || eq(t.slot_id, slot))
+      .filter(t => !credential || t.assign_to === credential)
+      .filter(t => !status || t.status === status)
+      .sort(
+        (a, b) =>
+          (parseDateTime(b.start_time)?.getTime() || 0) -
+          (parseDateTime(a.start_time)?.getTime() || 0)
+      );
+
+    res.json({ success: true, total: matches.length, transactions: matches.slice(0, limit) });
+  } catch (err) {
+    console.error("Error in /admin/transactions:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: one transaction, including credentials and admin_history
+app.get("/admin/transactions/:code", requireAdmin("transactions:read"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const trx = await db.get(`transactions/${code}`);
+    if (trx === null) {
+      return res.status(404).json({ success: false, message: "Transaction not found" });
+    }
+    res.json({
+      success: true,
+      transaction: {
+        ...transactionSummary(code, trx),
+        // Not decrypted for admins; the customer sees it on login.
+        has_last_password: !!trx.last_password,
+        admin_history: Array.isArray(trx.admin_history) ? trx.admin_history : []
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /admin/transactions/:code:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: hide / unhide. Body: { hidden: bool, reason }
+app.post("/admin/transactions/:code/hide", requireAdmin("transactions:write"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const { hidden = true, reason = null } = req.body || {};
+    if (typeof hidden !== "boolean") {
+      return res.status(400).json({ success: false, message: "hidden must be true or false" });
+    }
+
+    const result = await applyTransactionAdminChange(
+      code,
+      hidden ? "hide" : "unhide",
+      reason,
+      trx => ({
+        hidden,
+        hidden_reason: hidden ? reason || null : null,
+        // Hiding ends any portal sessions handed out so far.
+        session_version: (trx.session_version || 0) + (hidden ? 1 : 0)
+      }),
+      req.admin.name
+    );
+    if (!result.trx) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    await audit(req, hidden ? "admin.transaction.hide" : "admin.transaction.unhide", {
+      code,
+      user_id: result.trx.user_id || null,
+      credential: result.trx.assign_to || null,
+      reason
+    });
+    res.json({ success: true, transaction: transactionSummary(code, result.trx) });
+  } catch (err) {
+    console.error("Error in /admin/transactions/:code/hide:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: move end_time. Body: { end_time } (absolute) or { hours } (+/-,
+// relative to the current end_time), plus reason. Without transactions:write
+// the new end_time may only extend access: not before the current end_time,
+// or before now once that has passed.
+app.post("/admin/transactions/:code/end-time", requireAdmin("transactions:extend"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const extendOnly = !hasPermission(req.admin.role, "transactions:write");
+    const { end_time: endTimeRaw, hours, reason = null } = req.body || {};
+
+    let absolute = null;
+    if (endTimeRaw !== undefined && endTimeRaw !== null) {
+      absolute = new Date(endTimeRaw);
+      if (isNaN(absolute.getTime())) {
+        return res.status(400).json({ success: false, message: "end_time must be a date" });
+      }
+    } else if (typeof hours !== "number" || !isFinite(hours) || hours === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "end_time or a non-zero number of hours is required" });
+    }
+
+    let revived = false;
+    const result = await applyTransactionAdminChange(code, "end_time", reason, trx => {
+      revived = false;
+      const current = parseEndTime(trx.end_time);
+      let next = absolute;
+      if (!next) {
+        if (!current) return { error: "Transaction has no end_time to shift" };
+        next = new Date(current.getTime() + hours * 60 * 60 * 1000);
+      }
+      if (extendOnly) {
+        const floor = Math.max(current ? current.getTime() : 0, Date.now());
+        if (next.getTime() < floor) {
+          return {
+            status: 403,
+            error: `The ${req.admin.role} role can only extend a transaction, not shorten or end it`
+          };
+        }
+      }
+      const change = { end_time: formatDateTime(next) };
+      // Brought back after the sweep gave its usage back: take it again.
+      if (trx.usage_released === true && next.getTime() > Date.now()) {
+        change.usage_released = false;
+        change.expired_at = null;
+        revived = true;
+      }
+      return change;
+    }, req.admin.name);
+    if (!result.trx) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    // Only this change's flip counts; reassign / renew leave usage_released
+    // false for good and already hold their unit.
+    let warning = null;
+    if (revived && result.trx.assign_to && !(await reserveCredential(result.trx.assign_to))) {
+      // No unit to take back. Keep it marked released, or its next expiry
+      // would give back a unit some other transaction holds.
+      const { value } = await db.transaction(`transactions/${code}`, current => {
+        if (current === null) return null;
+        if (current.usage_released !== false) return current;
+        return { ...current, usage_released: true };
+      });
+      if (value) result.trx = value;
+      warning = `${result.trx.assign_to} has no free capacity; access was extended without taking a unit back`;
+    }
+    await audit(req, "admin.transaction.end_time", {
+      code,
+      user_id: result.trx.user_id || null,
+      credential: result.trx.assign_to || null,
+      reason,
+      details: { end_time: result.trx.end_time, ...(warning ? { warning } : {}) }
+    });
+    res.json({
+      success: true,
+      transaction: transactionSummary(code, result.trx),
+      ...(warning ? { warning } : {})
+    });
+  } catch (err) {
+    console.error("Error in /admin/transactions/:code/end-time:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: end access now. Body: { reason } (required)
+app.post("/admin/transactions/:code/terminate", requireAdmin("transactions:write"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const reason = ((req.body || {}).reason || "").toString().trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: "reason is required" });
+    }
+
+    const result = await applyTransactionAdminChange(code, "terminate", reason, trx => {
+      if (!isTransactionActive(trx)) return { error: "Transaction is not active" };
+      return {
+        end_time: formatDateTime(new Date()),
+        terminated_at: nowIso(),
+        terminated_reason: reason
+      };
+    }, req.admin.name);
+    if (!result.trx) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    await audit(req, "admin.transaction.terminate", {
+      code,
+      user_id: result.trx.user_id || null,
+      credential: result.trx.assign_to || null,
+      reason
+    });
+    res.json({ success: true, transaction: transactionSummary(code, result.trx) });
+  } catch (err) {
+    console.error("Error in /admin/transactions/:code/terminate:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: give a transaction another credential. Reserves a unit on the new
+// credential first and releases the old one once the switch is stored.
+// Body: { credential, reason }
+app.post("/admin/transactions/:code/reassign", requireAdmin("credentials:write"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const { credential, reason = null } = req.body || {};
+    if (!credential) {
+      return res.status(400).json({ success: false, message: "credential is required" });
+    }
+
+    const trx = await db.get(`transactions/${code}`);
+    if (trx === null) {
+      return res.status(404).json({ success: false, message: "Transaction not found" });
+    }
+    const oldKey = trx.assign_to || null;
+    if (oldKey === credential) {
+      return res.status(400).json({ success: false, message: "Already assigned to this credential" });
+    }
+    if ((await getCredential(db, credential)) === null) {
+      return res.status(404).json({ success: false, message: "Credential not found" });
+    }
+
+    const cred = await reserveCredential(credential);
+    if (!cred) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Credential is locked, expired or at max_usage" });
+    }
+
+    let result;
+    let oldReleased = false;
+    try {
+      result = await applyTransactionAdminChange(code, "reassign", reason, current => {
+        if ((current.assign_to || null) !== oldKey) {
+          return { error: "Transaction changed meanwhile, try again" };
+        }
+        // The expiry sweep already gave the old unit back; the new one is
+        // released again by the next sweep.
+        oldReleased = current.usage_released === true;
+        return {
+          usage_released: false,
+          assign_to: credential,
+          last_email: cred.email || null,
+          last_password: secrets.encrypt(cred.password || null),
+          assignment_pending: false,
+          credentials_changed: true,
+          credentials_changed_at: nowIso()
+        };
+      }, req.admin.name);
+    } catch (err) {
+      await releaseCredential(credential);
+      throw err;
+    }
+    if (!result.trx) {
+      await releaseCredential(credential);
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    if (oldKey) {
+      if (!oldReleased) await releaseCredential(oldKey);
+      kickPendingAssignments();
+    } else {
+      await db.remove(`${PENDING_ROOT}/${code}`);
+    }
+
+    await audit(req, "admin.transaction.reassign", {
+      code,
+      user_id: result.trx.user_id || null,
+      credential,
+      reason,
+      details: { from: oldKey }
+    });
+    res.json({ success: true, transaction: transactionSummary(code, result.trx) });
+  } catch (err) {
+    console.error("Error in /admin/transactions/:code/reassign:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: claims waiting for a credential, oldest first, plus queue health
+// (alert is set once the oldest has waited PENDING_ALERT_MINUTES).
+app.get("/admin/pending-assignments", requireAdmin("transactions:read"), async (req, res) => {
+  try {
+    const list = await listPendingAssignments();
+    const now = Date.now();
+    const entries = list.map(e => ({
+      code: e.code,
+      mode: e.mode || "slot",
+      slot_id: e.slot_id || null,
+      platform: e.platform || null,
+      queued_at: new Date(e.queued_at).toISOString(),
+      waiting_seconds: Math.floor((now - e.queued_at) / 1000),
+      position: pendingPosition(list, e.code)
+    }));
+    res.json({ success: true, ...pendingQueueHealth(list, now), entries });
+  } catch (err) {
+    console.error("Error in /admin/pending-assignments:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: run the assignment worker now instead of waiting for the interval.
+app.post("/admin/pending-assignments/run", requireAdmin("credentials:write"), async (req, res) => {
+  try {
+    const totals = await assignPendingTransactions();
+    await audit(req, "admin.pending_assignments.run", { details: totals });
+    const health = pendingQueueHealth(await listPendingAssignments());
+    res.json({ success: true, ...totals, ...health });
+  } catch (err) {
+    console.error("Error in /admin/pending-assignments/run:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: run the expiry sweep now. ?dry_run=1 only reports what it would do.
+app.post("/admin/maintenance/expiry-sweep", requireAdmin("settings:write"), async (req, res) => {
+  try {
+    const dryRun = ["1", "true"].includes(String(req.query.dry_run || "").toLowerCase());
+    const report = await runExpirySweep({ dryRun });
+    if (!dryRun) {
+      await audit(req, "admin.maintenance.expiry_sweep", {
+        outcome: report.errors.length ? "failure" : "success",
+        details: sweepAuditDetails(report)
+      });
+      if (report.transactions_expired.length) kickPendingAssignments();
+    }
+    res.json({ success: true, ...report });
+  } catch (err) {
+    console.error("Error in /admin/maintenance/expiry-sweep:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// -------- Analytics --------
+
+// Admin: codes, claim failures and OTP / mail-code volume for a date range,
+// plus active transactions and credential usage as of now (lib/analytics.js).
+// Query: from, to (YYYY-MM-DD in the display zone, default the last 30 days).
+app.get("/admin/analytics", requireAdmin("analytics:read"), async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    const promos = (await db.get("promo_codes")) || {};
+    const transactions = (await db.get("transactions")) || {};
+    const credentials = (await db.get(CREDENTIALS_ROOT)) || {};
+    const { entries } = await auditLog.query(
+      { from: new Date(range.start).toISOString(), to: new Date(range.end - 1).toISOString() },
+      { limit: Infinity }
+    );
+
+    const failures = claimFailureStats(entries);
+    res.json({
+      success: true,
+      range: { from: range.fromDay, to: range.toDay, time_zone: DISPLAY_TIME_ZONE },
+      audit_retention_days: auditLog.retentionDays,
+      codes: codeStats(promos, range),
+      claim_failures: {
+        ...failures,
+        by_reason: failures.by_reason.map(r => ({
+          ...r,
+          message: CLAIM_FAILURE_MESSAGES[r.reason] || null
+        }))
+      },
+      delivery: deliveryStats(entries, range),
+      active_by_platform: activeByPlatform(transactions, isTransactionActive),
+      credentials: credentialUtilisation(
+        Object.entries(credentials).map(([key, node]) => credentialSummary(key, node))
+      )
+    });
+  } catch (err) {
+    console.error("Error in /admin/analytics:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// -------- Users --------
+
+// A user's transactions, newest first.
+async function userHistory(userId) {
+  const now = Date.now();
+  return (await listUserTransactions(db, userId))
+    .map(([code, trx]) => transactionSummary(code, trx, now))
+    .sort(
+      (a, b) =>
+        (parseDateTime(b.start_time)?.getTime() || 0) - (parseDateTime(a.start_time)?.getTime() || 0)
+    );
+}
+
+// Admin: every transaction claimed by a user_id, active and expired.
+app.get("/admin/users/:userId/transactions", requireAdmin("transactions:read"), async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    const transactions = await userHistory(userId);
+    res.json({
+      success: true,
+      user_id: userId,
+      active: transactions.filter(t => t.status === "active").length,
+      count: transactions.length,
+      transactions
+    });
+  } catch (err) {
+    console.error("Error in /admin/users/:userId/transactions:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: per-user claim limits (see lib/users.js).
+app.get("/admin/user-limits", requireAdmin("settings:read"), async (req, res) => {
+  try {
+    const limits = (await db.get(USER_LIMITS_SETTINGS)) || {};
+    res.json({ success: true, max_active: limits.max_active || {}, groups: limits.groups || {} });
+  } catch (err) {
+    console.error("Error in /admin/user-limits:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: replace the limits. Body: { max_active: { default, <platform> },
+// groups: { <limit group> } }, counts >= 0 (0 = no limit).
+app.put("/admin/user-limits", requireAdmin("settings:write"), async (req, res) => {
+  try {
+    const { errors, data } = validateUserLimits(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+    await db.set(USER_LIMITS_SETTINGS, data);
+    await audit(req, "admin.user_limits.set", { details: data });
+    res.json({ success: true, ...data });
+  } catch (err) {
+    console.error("Error in PUT /admin/user-limits:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: how credentials are balanced per slot / platform (see
+// lib/credential-strategies.js).
+app.get("/admin/credential-strategies", requireAdmin("settings:read"), async (req, res) => {
+  try {
+    const conf = (await db.get(STRATEGY_SETTINGS)) || {};
+    res.json({
+      success: true,
+      strategies: STRATEGIES,
+      slots: conf.slots || {},
+      platforms: conf.platforms || {},
+      default: normalizeStrategy(conf.default) || DEFAULT_STRATEGY
+    });
+  } catch (err) {
+    console.error("Error in /admin/credential-strategies:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: replace the strategies. Body: { slots: { <slotId>: strategy },
+// platforms: { <platform>: strategy }, default: strategy }.
+app.put("/admin/credential-strategies", requireAdmin("settings:write"), async (req, res) => {
+  try {
+    const { errors, data } = validateStrategySettings(req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+    await db.set(STRATEGY_SETTINGS, data);
+    await audit(req, "admin.credential_strategies.set", { details: data });
+    res.json({ success: true, ...data });
+  } catch (err) {
+    console.error("Error in PUT /admin/credential-strategies:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: list credentials with usage and active transaction counts
+app.get("/admin/credentials", requireAdmin("credentials:read"), async (req, res) => {
+  try {
+    const all = (await db.get(CREDENTIALS_ROOT)) || {};
+    const active = await countActiveTransactionsByCredential();
+    const credentials = Object.entries(all)
+      .map(([key, node]) => credentialSummary(key, node, active[key] || 0))
+      .sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+    res.json({ success: true, credentials });
+  } catch (err) {
+    console.error("Error in /admin/credentials:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: full credential (incl. password / secret) for editing
+app.get("/admin/credentials/:key", requireAdmin("credentials:read"), async (req, res) => {
+  try {
+    const key = req.params.key;
+    const node = await getCredential(db, key);
+    if (node === null) {
+      return res.status(404).json({ success: false, message: "Credential not found" });
+    }
+    // The stored password / secret may be sealed; the edit form only needs
+    // to know they're set.
+    const { password, secret, ...rest } = node;
+    const active = await countActiveTransactionsByCredential();
+    res.json({
+      success: true,
+      credential: {
+        ...credentialSummary(key, node, active[key] || 0),
+        ...rest,
+        key,
+        has_password: !!password,
+        has_secret: !!secret
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /admin/credentials/:key:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: create credential
+app.post("/admin/credentials", requireAdmin("credentials:write"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { errors, data } = validateCredentialInput(body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+
+    let key = body.key ? String(body.key).trim() : "";
+    if (key) {
+      if (!/^cred[A-Za-z0-9_-]+$/.test(key)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "key must look like cred<id> (e.g. cred12)" });
+      }
+      if ((await getCredential(db, key)) !== null) {
+        return res.status(400).json({ success: false, message: "Credential already exists" });
+      }
+    } else {
+      key = await nextCredentialKey(db);
+    }
+
+    const node = {
+      max_usage: 0,
+      locked: 0,
+      ...data,
+      usage_count: 0,
+      created_at: nowIso()
+    };
+    await saveCredential(db, key, sealCredential(node));
+    await audit(req, "admin.credential.create", { credential: key });
+    kickPendingAssignments();
+
+    res.json({ success: true, credential: credentialSummary(key, node, 0) });
+  } catch (err) {
+    console.error("Error in POST /admin/credentials:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: edit credential fields (also used for lock / unlock)
+app.patch("/admin/credentials/:key", requireAdmin("credentials:write"), async (req, res) => {
+  try {
+    const key = req.params.key;
+    const node = await getCredential(db, key);
+    if (node === null) {
+      return res.status(404).json({ success: false, message: "Credential not found" });
+    }
+
+    const { errors, data } = validateCredentialInput(req.body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ success: false, message: "No fields to update" });
+    }
+
+    const fields = { ...withOtpReset(data, secrets.decrypt(node.secret)), updated_at: nowIso() };
+    // A new expiry_date is re-checked by the next expiry sweep.
+    if (data.expiry_date !== undefined) fields.expired_at = null;
+    const next = { ...node, ...fields };
+    if (!next.belongs_to_slot && !next.belongs_to_platform) {
+      return res.status(400).json({
+        success: false,
+        message: "belongs_to_slot or belongs_to_platform is required"
+      });
+    }
+    await updateCredential(db, key, node, sealCredential(fields));
+    // Field names only; values may be secrets.
+    await audit(req, "admin.credential.update", {
+      credential: key,
+      details: { fields: Object.keys(data) }
+    });
+    kickPendingAssignments();
+
+    const active = await countActiveTransactionsByCredential();
+    res.json({ success: true, credential: credentialSummary(key, next, active[key] || 0) });
+  } catch (err) {
+    console.error("Error in PATCH /admin/credentials/:key:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: retire credential. It stays readable for existing transactions but
+// is locked and dropped from credential_index, so no new claim gets it.
+app.post("/admin/credentials/:key/retire", requireAdmin("credentials:write"), async (req, res) => {
+  try {
+    const key = req.params.key;
+    const node = await getCredential(db, key);
+    if (node === null) {
+      return res.status(404).json({ success: false, message: "Credential not found" });
+    }
+
+    const fields = { locked: 1, retired: true, retired_at: nowIso() };
+    const next = { ...node, ...fields };
+    await updateCredential(db, key, node, fields);
+    await audit(req, "admin.credential.retire", { credential: key });
+
+    const active = await countActiveTransactionsByCredential();
+    res.json({ success: true, credential: credentialSummary(key, next, active[key] || 0) });
+  } catch (err) {
+    console.error("Error in /admin/credentials/:key/retire:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: rotate a credential's login. Updates the credential and every
+// active transaction assigned to it in one multi-path write, flags those
+// transactions so the user is told on next /user/login, and keeps a history
+// under credential_rotations/<key> (which fields changed, not the values).
+app.post("/admin/credentials/:key/rotate", requireAdmin("credentials:write"), async (req, res) => {
+  try {
+    const key = req.params.key;
+    const node = await getCredential(db, key);
+    if (node === null) {
+      return res.status(404).json({ success: false, message: "Credential not found" });
+    }
+
+    const body = req.body || {};
+    const input = {};
+    for (const f of ["email", "password", "secret", ...OTP_FIELDS]) {
+      if (body[f] !== undefined) input[f] = body[f];
+    }
+    const { errors, data: valid } = validateCredentialInput(input, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+    const data = withOtpReset(valid, secrets.decrypt(node.secret));
+
+    const current = f =>
+      CREDENTIAL_SECRET_FIELDS.includes(f) ? secrets.decrypt(node[f]) : node[f];
+    const changed = Object.keys(data).filter(f => (current(f) ?? null) !== (data[f] ?? null));
+    if (!changed.length) {
+      return res.status(400).json({ success: false, message: "Nothing changed" });
+    }
+
+    const now = nowIso();
+    const sealed = sealCredential(data);
+    const next = { ...node, ...sealed };
+    const codes = await listActiveTransactionCodes(key);
+
+    const patch = {};
+    for (const f of changed) patch[`${credentialPath(key)}/${f}`] = sealed[f];
+    patch[`${credentialPath(key)}/rotated_at`] = now;
+
+    if (changed.includes("email") || changed.includes("password")) {
+      for (const code of codes) {
+        patch[`transactions/${code}/last_email`] = next.email || null;
+        patch[`transactions/${code}/last_password`] = secrets.encrypt(next.password || null);
+        patch[`transactions/${code}/credentials_changed`] = true;
+        patch[`transactions/${code}/credentials_changed_at`] = now;
+      }
+    }
+
+    const rotationId = newId();
+    patch[`credential_rotations/${key}/${rotationId}`] = {
+      at: now,
+      by: req.admin.name,
+      fields: changed,
+      reason: body.reason ? String(body.reason).slice(0, 500) : null,
+      transactions_updated:
+        changed.includes("email") || changed.includes("password") ? codes.length : 0
+    };
+
+    await db.update("/", patch);
+    await audit(req, "admin.credential.rotate", {
+      credential: key,
+      reason: body.reason || null,
+      details: {
+        fields: changed,
+        transactions_updated: patch[`credential_rotations/${key}/${rotationId}`].transactions_updated
+      }
+    });
+
+    res.json({
+      success: true,
+      key,
+      rotation_id: rotationId,
+      fields: changed,
+      transactions_updated: patch[`credential_rotations/${key}/${rotationId}`].transactions_updated
+    });
+  } catch (err) {
+    console.error("Error in /admin/credentials/:key/rotate:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: rotation history for a credential, newest first
+app.get("/admin/credentials/:key/rotations", requireAdmin("credentials:read"), async (req, res) => {
+  try {
+    const raw = (await db.get(`credential_rotations/${req.params.key}`)) || {};
+    const rotations = Object.entries(raw)
+      .map(([id, r]) => ({ id, ...r }))
+      .sort((a, b) => b.id.localeCompare(a.id));
+    res.json({ success: true, rotations });
+  } catch (err) {
+    console.error("Error in /admin/credentials/:key/rotations:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: blocked attempts on the code-based endpoints, newest first.
+// Query: ip, reason, limit (default 100, max 1000)
+app.get("/admin/security/blocked", requireAdmin("security:read"), async (req, res) => {
+  try {
+    const { ip = "", reason = "" } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "100", 10) || 100, 1), 1000);
+    const raw = (await db.get(BLOCKED_ROOT)) || {};
+    const attempts = Object.entries(raw)
+      .map(([id, a]) => ({ id, ...a }))
+      .filter(a => !ip || a.ip === ip)
+      .filter(a => !reason || a.reason === String(reason).toUpperCase())
+      .sort((a, b) => b.id.localeCompare(a.id));
+    res.json({ success: true, total: attempts.length, attempts: attempts.slice(0, limit) });
+  } catch (err) {
+    console.error("Error in /admin/security/blocked:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Admin: IPs currently locked out after repeated invalid codes
+app.get("/admin/security/lockouts", requireAdmin("security:read"), async (req, res) => {
+  try {
+    const lockouts = await rateLimiter.listLockouts();
+    lockouts.sort((a, b) => b.locked_until.localeCompare(a.locked_until));
+    res.json({ success: true, store: rateLimiter.store.kind, lockouts });
+  } catch (err) {
+    console.error("Error in /admin/security/lockouts:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
 });
 
-// Admin: list slots for UI
-app.get("/admin/slots", requireAdmin, async (req, res) => {
+// Admin: lift a lockout early (also resets the IP's failure count)
+app.delete("/admin/security/lockouts/:ip", requireAdmin("security:write"), async (req, res) => {
   try {
-    const snap = await db.ref("settings/slots").get();
-    if (!snap.exists()) {
-      return res.json({ success: true, slots: [] });
+    const cleared = await rateLimiter.clearLockout(req.params.ip);
+    if (!cleared) {
+      return res.status(404).json({ success: false, message: "No active lockout for this IP" });
     }
-    const raw = snap.val();
-    const slots = Object.entries(raw).map(([id, data]) => ({
-      id,
-      name: data.name || id,
-      platform: data.platform || null,
-      amount: data.required_amount || null,
-      enabled: data.enabled !== false
-    }));
-    res.json({ success: true, slots });
+    await audit(req, "admin.security.unlock", { details: { ip: req.params.ip } });
+    res.json({ success: true, message: `Lockout for ${req.params.ip} lifted` });
   } catch (err) {
-    console.error("Error in /admin/slots:", err);
+    console.error("Error in DELETE /admin/security/lockouts/:ip:", err);
     res.status(500).json({ success: false, message: "Internal error" });
   }
 });
 
-// Admin: generate promo code (slot-based, like /gen_code)
-app.post("/admin/gen-code", requireAdmin, async (req, res) => {
+// Admin: query the audit log, newest first.
+// Query: code, user_id, credential, actor, action (prefix, e.g. "admin."),
+// outcome (success|failure), from / to (ISO), limit (default 200, max 1000)
+app.get("/admin/audit", requireAdmin("audit:read"), async (req, res) => {
   try {
-    const { slotId, maxUses = 1, expiresAt = null, customCode = null, createdBy = "admin" } =
-      req.body || {};
-    if (!slotId) {
-      return res.status(400).json({ success: false, message: "slotId is required" });
+    const { code, user_id, credential, actor, action, outcome, from, to } = req.query;
+    for (const [name, val] of [["from", from], ["to", to]]) {
+      if (val && isNaN(Date.parse(val))) {
+        return res.status(400).json({ success: false, message: `${name} must be a date` });
+      }
     }
-
-    const slot = await getSlot(slotId);
-    if (!slot || slot.enabled === false) {
-      return res.status(400).json({ success: false, message: "Slot not found or disabled" });
+    if (outcome && !["success", "failure"].includes(outcome)) {
+      return res.status(400).json({ success: false, message: "outcome must be success or failure" });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "200", 10) || 200, 1), 1000);
+    const filters = {
+      code: code ? String(code).trim().toUpperCase() : null,
+      user_id,
+      credential,
+      actor,
+      action,
+      outcome,
+      from,
+      to
+    };
+    const { total, entries } = await auditLog.query(filters, { limit });
+    res.json({ success: true, total, retention_days: auditLog.retentionDays, entries });
+  } catch (err) {
+    console.error("Error in /admin/audit:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
 
-    const slotName = slot.name || slotId;
-    const amount = Number(slot.required_amount ?? 0);
-
-    // generate or validate code
-    let code;
-    if (customCode) {
-      const custom = customCode.trim().toUpperCase();
-      if (!/^OOR[A-Z0-9]{6,20}$/.test(custom)) {
-        return res
-          .status(400)
-          .json({ success: false, message: "customCode must match OOR[A-Z0-9]{6,20}" });
-      }
-      const existing = await db.ref(`promo_codes/${custom}`).get();
-      if (existing.exists()) {
-        return res.status(400).json({ success: false, message: "Code already exists" });
-      }
-      code = custom;
-    } else {
-      const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-      let attempts = 0;
-      while (attempts < 10) {
-        let rand = "";
-        for (let i = 0; i < 13; i++) {
-          rand += alphabet[Math.floor(Math.random() * alphabet.length)];
-        }
-        const cand = "OOR" + rand;
-        const existing = await db.ref(`promo_codes/${cand}`).get();
-        if (!existing.exists()) {
-          code = cand;
-          break;
-        }
-        attempts++;
-      }
-      if (!code) {
-        return res.status(500).json({ success: false, message: "Failed to generate unique code" });
-      }
-    }
+// Admin: who the presented key belongs to (the admin page uses it to show
+// only what the role can do)
+app.get("/admin/whoami", requireAdmin(), (req, res) => {
+  const { name, role } = req.admin;
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  res.json({ success: true, name, role, permissions });
+});
 
-    const payload = {
-      slot_id: slotId,
-      slot_name: slotName,
-      amount,
-      created_by: createdBy,
-      created_at: nowIso(),
-      custom: !!customCode,
-      expires_at: expiresAt,
-      used_count: 0,
-      max_uses: maxUses,
-      revoked: false
-    };
+// Admin: list admin keys (never the keys themselves)
+app.get("/admin/keys", requireAdmin("keys:manage"), async (req, res) => {
+  try {
+    res.json({ success: true, roles: ROLES, keys: await adminKeys.list() });
+  } catch (err) {
+    console.error("Error in /admin/keys:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
 
-    await db.ref(`promo_codes/${code}`).set(payload);
+// Admin: issue a named key. Body: { name, role }. The key is in this
+// response only; store it right away.
+app.post("/admin/keys", requireAdmin("keys:manage"), async (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+    const result = await adminKeys.issue({ name, role, createdBy: req.admin.name });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    await audit(req, "admin.key.issue", {
+      details: { key_id: result.summary.id, name: result.summary.name, role: result.summary.role }
+    });
+    res.status(201).json({ success: true, key: result.key, admin_key: result.summary });
+  } catch (err) {
+    console.error("Error in POST /admin/keys:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
 
-    return res.json({ success: true, code, promo: payload });
+// Admin: revoke a named key; it stops working immediately
+app.post("/admin/keys/:id/revoke", requireAdmin("keys:manage"), async (req, res) => {
+  try {
+    const summary = await adminKeys.revoke(req.params.id);
+    if (!summary) {
+      return res.status(404).json({ success: false, message: "Key not found" });
+    }
+    await audit(req, "admin.key.revoke", {
+      details: { key_id: summary.id, name: summary.name, role: summary.role }
+    });
+    res.json({ success: true, admin_key: summary });
   } catch (err) {
-    console.error("Error /admin/gen-code:", err);
+    console.error("Error in /admin/keys/:id/revoke:", err);
     res.status(500).json({ success: false, message: "Internal error" });
   }
 });
 
-// User: redeem promo code (like /use_code) -> create transaction + assign cred
-app.post("/promo/claim", async (req, res) => {
+// Claim failure reasons, as shown to users.
+const CLAIM_FAILURE_MESSAGES = {
+  CODE_NOT_FOUND: "This code does not exist.",
+  CODE_REVOKED: "This code has been revoked.",
+  CODE_EXPIRED: "This code has expired.",
+  CODE_ALREADY_USED_UP: "This code has already been used.",
+  RACE_FAILED: "Could not claim the code. Try again.",
+  CLAIM_IN_PROGRESS: "Another claim of yours is still being processed. Try again in a moment."
+};
+
+// User: redeem promo code (like /use_code) -> create transaction + assign cred.
+// The response's `code` is what the user logs in with; for a multi-use code
+// it differs from the promo code (see createClaimTransaction).
+app.post("/promo/claim", limitCodeAttempts({ promoFields: ["code"] }), async (req, res) => {
   try {
     const { code, user_id } = req.body || {};
     if (!code || !user_id) {
@@ -389,118 +2821,212 @@ app.post("/promo/claim", async (req, res) => {
     }
     const codeText = code.trim().toUpperCase();
 
-    const [ok, result] = await claimPromoCodeAtomic(codeText, user_id);
-    if (!ok) {
-      const msgMap = {
-        CODE_NOT_FOUND: "This code does not exist.",
-        CODE_REVOKED: "This code has been revoked.",
-        CODE_EXPIRED: "This code has expired.",
-        CODE_ALREADY_USED_UP: "This code has already been used.",
-        RACE_FAILED: "Could not claim the code. Try again."
-      };
-      return res
-        .status(400)
-        .json({ success: false, reason: result, message: msgMap[result] || "Failed to claim." });
-    }
-
-    const promo = result;
-    const slotId = promo.slot_id;
-    if (!slotId) {
-      return res.status(500).json({ success: false, message: "Promo has no slot_id" });
-    }
-
-    const slot = await getSlot(slotId);
-    if (!slot) {
-      return res.status(500).json({ success: false, message: "Slot not found for promo" });
+    // Per-user limits are checked against the code as it is now; claiming
+    // it still goes through claimPromoCodeAtomic's own checks.
+    const preview = await db.get(`promo_codes/${codeText}`);
+    let lockToken = null;
+    if (preview && ["unused", "partial"].includes(promoStatus(preview))) {
+      lockToken = await lockUserClaims(user_id);
+      if (!lockToken) {
+        return res.status(429).json({
+          success: false,
+          reason: "CLAIM_IN_PROGRESS",
+          message: CLAIM_FAILURE_MESSAGES.CLAIM_IN_PROGRESS
+        });
+      }
     }
 
-    const uiSnap = await db.ref("settings/ui_flags").get();
-    const uiFlags = uiSnap.val() || {};
-    const labelMode = resolveLabelMode(uiFlags, "approve_flow");
+    try {
+      if (lockToken) {
+        const hit = await findUserLimitHit(user_id, {
+          platform: preview.platform || null,
+          group: preview.limit_group || null
+        });
+        if (hit) {
+          await audit(req, "promo.claim", {
+            outcome: "failure",
+            code: codeText,
+            user_id,
+            reason: hit.reason
+          });
+          return res.status(403).json({ success: false, reason: hit.reason, message: hit.message });
+        }
+      }
 
-    const now = istNow();
-    let durationHours = 6;
-    const rawDuration = slot.duration_hours;
-    if (typeof rawDuration === "number") {
-      durationHours = rawDuration;
-    } else if (typeof rawDuration === "string") {
-      if (/day/i.test(rawDuration)) durationHours = 24;
-      else {
-        const n = parseInt(rawDuration, 10);
-        if (!isNaN(n)) durationHours = n;
+      const [ok, result, usedAt] = await claimPromoCodeAtomic(codeText, user_id);
+      if (!ok) {
+        if (result === "CODE_NOT_FOUND") await noteInvalidCode(req);
+        await audit(req, "promo.claim", { outcome: "failure", code: codeText, user_id, reason: result });
+        return res.status(400).json({
+          success: false,
+          reason: result,
+          message: CLAIM_FAILURE_MESSAGES[result] || "Failed to claim."
+        });
       }
-    }
 
-    const startTime = now;
-    const endTime = new Date(now.getTime() + durationHours * 60 * 60 * 1000);
+      // From here on the code use (and maybe a credential unit and the
+      // transaction) is taken; any failure gives them back before responding.
+      let credKey = null;
+      let trxCode = null;
+      const rollback = async (reason = "ERROR") => {
+        try {
+          if (trxCode) await db.remove(`transactions/${trxCode}`);
+          if (credKey) await releaseCredential(credKey);
+          await releasePromoCode(codeText, user_id, usedAt);
+        } catch (e) {
+          console.error(`Rollback failed for claim ${codeText}:`, e);
+        }
+        await audit(req, "promo.claim", { outcome: "failure", code: codeText, user_id, reason });
+      };
 
-    const platform = slot.platform || null;
-    const slotName = slot.name || slotId;
-    let headline = slotName + " Account";
-    if (labelMode === "platform" && platform) {
-      headline = `${platform} Account`;
-    }
+      try {
+        const promo = result;
+        let slotId = promo.slot_id;
+        let slot = null;
+        let cred = null;
+        let strategy = null;
+
+        if (!slotId && promo.mode === "platform") {
+          const picked = await reservePlatformSlot(promo.platform);
+          if (!picked) {
+            await rollback("NO_ENABLED_SLOT");
+            return res
+              .status(500)
+              .json({ success: false, message: "No enabled slot for promo platform" });
+          }
+          slotId = picked.slotId;
+          slot = picked.slot;
+          credKey = picked.credKey;
+          cred = picked.cred;
+          strategy = picked.strategy;
+        } else {
+          if (!slotId) {
+            await rollback("PROMO_HAS_NO_SLOT");
+            return res.status(500).json({ success: false, message: "Promo has no slot_id" });
+          }
+          slot = await getSlot(slotId);
+          if (!slot) {
+            await rollback("SLOT_NOT_FOUND");
+            return res.status(500).json({ success: false, message: "Slot not found for promo" });
+          }
+          ({ key: credKey, node: cred, strategy } = await reserveCredentialForSlot(slotId, slot));
+        }
 
-    const txnRecord = {
-      platform,
-      slot_id: slotId,
-      slot_name: slotName,
-      label_mode: labelMode,
-      headline,
-      start_time: formatDateTime(startTime),
-      end_time: formatDateTime(endTime),
-      approved_at: nowIso(),
-      assign_to: null,
-      user_id,
-      last_email: null,
-      last_password: null,
-      hidden: false
-    };
+        const uiFlags = (await db.get("settings/ui_flags")) || {};
+        const labelMode = resolveLabelMode(uiFlags, "approve_flow");
+
+        // A promo-level duration (bonus codes) overrides the slot's.
+        let durationMs = promo.duration ? parseDuration(promo.duration) : null;
+        if (durationMs === null) {
+          const slotDuration = resolveSlotDuration(slot);
+          if (slotDuration.error) {
+            console.error(`[claim] slot ${slotId}: ${slotDuration.error}`);
+            await rollback("SLOT_DURATION_INVALID");
+            return res
+              .status(500)
+              .json({ success: false, message: "Slot duration is misconfigured" });
+          }
+          durationMs = slotDuration.ms;
+        }
 
-    await db.ref(`transactions/${codeText}`).set(txnRecord);
+        const now = new Date();
+        const startTime = now;
+        const endTime = new Date(now.getTime() + durationMs);
 
-    const { key: credKey, node: cred } = await selectCredentialForSlot(slotId, slot);
-    if (!cred) {
-      return res.json({
-        success: true,
-        code: codeText,
-        message: "Promo claimed, but no credentials available for this slot.",
-        transaction: txnRecord
-      });
-    }
+        const platform = slot.platform || null;
+        const slotName = slot.name || slotId;
+        let headline = slotName + " Account";
+        if (labelMode === "platform" && platform) {
+          headline = `${platform} Account`;
+        }
 
-    const email = cred.email || null;
-    const password = cred.password || null;
-    await db.ref(`transactions/${codeText}`).update({
-      assign_to: credKey,
-      last_email: email,
-      last_password: password
-    });
+        const txnRecord = {
+          platform,
+          slot_id: slotId,
+          slot_name: slotName,
+          label_mode: labelMode,
+          headline,
+          start_time: formatDateTime(startTime),
+          end_time: formatDateTime(endTime),
+          duration: toIsoDuration(durationMs),
+          approved_at: nowIso(),
+          assign_to: cred ? credKey : null,
+          credential_strategy: cred ? strategy : null,
+          user_id,
+          last_email: cred ? cred.email || null : null,
+          last_password: cred ? secrets.encrypt(cred.password || null) : null,
+          assignment_pending: !cred,
+          limit_group: promo.limit_group || null,
+          promo_code: codeText,
+          hidden: false
+        };
+
+        trxCode = await createClaimTransaction(codeText, promo, txnRecord);
+        if (!trxCode) {
+          await rollback("RACE_FAILED");
+          return res
+            .status(409)
+            .json({ success: false, reason: "RACE_FAILED", message: CLAIM_FAILURE_MESSAGES.RACE_FAILED });
+        }
+        const write = { [userIndexPath(user_id, trxCode)]: true };
+        if (!cred) {
+          // No credential free: queue the claim for the assignment worker.
+          write[`${PENDING_ROOT}/${trxCode}`] = {
+            queued_at: Date.now(),
+            mode: promo.mode === "platform" && !promo.slot_id ? "platform" : "slot",
+            slot_id: slotId,
+            platform: promo.platform || platform
+          };
+        }
+        await db.update("/", write);
+        await audit(req, "promo.claim", {
+          code: trxCode,
+          user_id,
+          credential: txnRecord.assign_to,
+          slot_id: slotId,
+          details: {
+            promo_code: codeText,
+            end_time: txnRecord.end_time,
+            credential_strategy: txnRecord.credential_strategy
+          }
+        });
+
+        if (!cred) {
+          const position = pendingPosition(await listPendingAssignments(), trxCode);
+          return res.json({
+            success: true,
+            code: trxCode,
+            assignment_pending: true,
+            pending_position: position,
+            message:
+              "Promo claimed. No account is free right now; you're in line and one will be assigned automatically.",
+            transaction: txnRecord
+          });
+        }
 
-    let usageCount = parseInt(cred.usage_count ?? 0, 10);
-    const maxUsage = parseInt(cred.max_usage ?? 0, 10);
-    if (isNaN(usageCount)) usageCount = 0;
-    if (maxUsage === 0 || usageCount < maxUsage) {
-      await db.ref(credKey).update({ usage_count: usageCount + 1 });
+        return res.json({
+          success: true,
+          code: trxCode,
+          platform,
+          slot_id: slotId,
+          slot_name: slotName,
+          headline,
+          last_email: txnRecord.last_email,
+          last_password: secrets.decrypt(txnRecord.last_password),
+          start_time: txnRecord.start_time,
+          end_time: txnRecord.end_time,
+          start_time_display: formatDisplay(startTime),
+          end_time_display: formatDisplay(endTime),
+          user_id: txnRecord.user_id,
+          label_mode: txnRecord.label_mode
+        });
+      } catch (err) {
+        await rollback();
+        throw err;
+      }
+    } finally {
+      if (lockToken) await unlockUserClaims(user_id, lockToken);
     }
-
-    const finalTxnSnap = await db.ref(`transactions/${codeText}`).get();
-    const finalTxn = finalTxnSnap.val() || {};
-
-    return res.json({
-      success: true,
-      code: codeText,
-      platform,
-      slot_id: slotId,
-      slot_name: slotName,
-      headline,
-      last_email: finalTxn.last_email,
-      last_password: finalTxn.last_password,
-      start_time: finalTxn.start_time,
-      end_time: finalTxn.end_time,
-      user_id: finalTxn.user_id,
-      label_mode: finalTxn.label_mode
-    });
   } catch (err) {
     console.error("Error /promo/claim:", err);
     res.status(500).json({ success: false, message: "Internal error" });
@@ -508,7 +3034,7 @@ app.post("/promo/claim", async (req, res) => {
 });
 
 // User login: view transaction details + platform_actions + invite_link
-app.post("/user/login", async (req, res) => {
+app.post("/user/login", limitCodeAttempts(), async (req, res) => {
   try {
     const { code } = req.body || {};
     if (!code) {
@@ -516,18 +3042,28 @@ app.post("/user/login", async (req, res) => {
     }
 
     const normCode = code.trim().toUpperCase();
-    const snap = await db.ref(`transactions/${normCode}`).get();
-    if (!snap.exists()) {
+    const trx = await db.get(`transactions/${normCode}`);
+    if (trx === null) {
+      await noteInvalidCode(req);
+      await audit(req, "user.login", { outcome: "failure", code: normCode, reason: "INVALID_CODE" });
       return res.status(404).json({ success: false, message: "Invalid code" });
     }
 
-    const trx = snap.val();
-
+    const loginFailed = reason =>
+      audit(req, "user.login", {
+        outcome: "failure",
+        code: normCode,
+        user_id: trx.user_id || null,
+        credential: trx.assign_to || null,
+        reason
+      });
     if (trx.hidden === true) {
+      await loginFailed("HIDDEN");
       return res.status(403).json({ success: false, message: "This code is no longer active" });
     }
     const endTime = parseEndTime(trx.end_time);
     if (endTime && endTime.getTime() < Date.now()) {
+      await loginFailed("EXPIRED");
       return res.status(403).json({
         success: false,
         message: "This subscription has expired",
@@ -548,8 +3084,7 @@ app.post("/user/login", async (req, res) => {
 
     let actionsConf = {};
     try {
-      const actsSnap = await db.ref("settings/platform_actions").get();
-      const root = actsSnap.val() || {};
+      const root = (await db.get("settings/platform_actions")) || {};
       if (platform && root[platform]) {
         actionsConf = root[platform];
       } else if (root.default) {
@@ -573,14 +3108,30 @@ app.post("/user/login", async (req, res) => {
         trx.invite_link_long ||
         null;
       if (!inviteLink && trx.assign_to) {
-        const credSnap = await db.ref(trx.assign_to).get();
-        const cred = credSnap.val() || {};
+        const cred = (await getCredential(db, trx.assign_to)) || {};
         if (cred.invite_link) {
           inviteLink = cred.invite_link;
         }
       }
     }
 
+    // Set by /admin/credentials/:key/rotate; report it once, then clear.
+    const credentialsChanged = trx.credentials_changed === true;
+    if (credentialsChanged) {
+      await db.update(`transactions/${normCode}`, { credentials_changed: false });
+    }
+
+    const session = sessions.issue({
+      code: normCode,
+      version: trx.session_version || 0,
+      endTime
+    });
+    await audit(req, "user.login", {
+      code: normCode,
+      user_id: trx.user_id || null,
+      credential: trx.assign_to || null
+    });
+
     return res.json({
       success: true,
       code: normCode,
@@ -589,13 +3140,22 @@ app.post("/user/login", async (req, res) => {
       slot_name: trx.slot_name || null,
       headline: trx.headline || null,
       last_email: trx.last_email || null,
-      last_password: trx.last_password || null,
+      last_password: secrets.decrypt(trx.last_password || null),
       start_time: trx.start_time || null,
       end_time: trx.end_time || null,
+      start_time_display: displayTime(trx.start_time),
+      end_time_display: displayTime(trx.end_time),
       user_id: trx.user_id || null,
       label_mode: trx.label_mode || null,
       actions,
-      invite_link: inviteLink
+      invite_link: inviteLink,
+      credentials_changed: credentialsChanged,
+      assignment_pending: trx.assignment_pending === true,
+      pending_position: trx.assignment_pending === true
+        ? pendingPosition(await listPendingAssignments(), normCode)
+        : null,
+      session_token: session.token,
+      session_expires_at: session.expiresAt.toISOString()
     });
   } catch (err) {
     console.error("Error in /user/login:", err);
@@ -604,43 +3164,37 @@ app.post("/user/login", async (req, res) => {
 });
 
 // Account: refresh credentials (like Refresh button)
-app.post("/account/refresh", async (req, res) => {
+app.post("/account/refresh", limitCodeAttempts(), async (req, res) => {
   try {
-    const { code } = req.body || {};
-    if (!code) {
-      return res.status(400).json({ success: false, message: "code is required" });
-    }
-
-    const normCode = code.trim().toUpperCase();
-    const snap = await db.ref(`transactions/${normCode}`).get();
-    if (!snap.exists()) {
-      return res.status(404).json({ success: false, message: "Invalid code" });
-    }
-    const trx = snap.val();
-
-    const endTime = parseEndTime(trx.end_time);
-    if (endTime && endTime.getTime() < Date.now()) {
-      return res.status(403).json({ success: false, message: "Your access has expired" });
-    }
+    const account = await loadAccountTransaction(req, res, "account.refresh");
+    if (!account) return;
+    const { normCode, trx } = account;
 
     const credKey = trx.assign_to;
     if (!credKey) {
+      await auditAccount(req, "account.refresh", account, {
+        outcome: "failure",
+        reason: "NO_CREDENTIAL"
+      });
       return res.status(400).json({ success: false, message: "No credential assigned yet" });
     }
 
-    const credSnap = await db.ref(credKey).get();
-    if (!credSnap.exists()) {
+    const cred = await getCredential(db, credKey);
+    if (cred === null) {
+      await auditAccount(req, "account.refresh", account, {
+        outcome: "failure",
+        reason: "CREDENTIAL_NOT_FOUND"
+      });
       return res.status(404).json({ success: false, message: "Credential not found" });
     }
-
-    const cred = credSnap.val();
     const newEmail = cred.email || "";
-    const newPassword = cred.password || "";
+    const newPassword = secrets.decrypt(cred.password) || "";
 
     const lastEmail = trx.last_email || "";
-    const lastPassword = trx.last_password || "";
+    const lastPassword = secrets.decrypt(trx.last_password) || "";
 
     if (newEmail === lastEmail && newPassword === lastPassword) {
+      await auditAccount(req, "account.refresh", account, { details: { changed: false } });
       return res.json({
         success: false,
         unchanged: true,
@@ -650,10 +3204,11 @@ app.post("/account/refresh", async (req, res) => {
       });
     }
 
-    await db.ref(`transactions/${normCode}`).update({
+    await db.update(`transactions/${normCode}`, {
       last_email: newEmail,
-      last_password: newPassword
+      last_password: secrets.encrypt(newPassword || null)
     });
+    await auditAccount(req, "account.refresh", account, { details: { changed: true } });
 
     return res.json({
       success: true,
@@ -667,89 +3222,397 @@ app.post("/account/refresh", async (req, res) => {
   }
 });
 
-// Account: get OTP (TOTP) for this credential
-app.post("/account/get-otp", async (req, res) => {
+// Account: current assignment state, for the portal to poll while a claim
+// waits for a credential. Credentials are included once assigned.
+app.post("/account/status", limitCodeAttempts(), async (req, res) => {
   try {
-    const { code } = req.body || {};
-    if (!code) {
-      return res.status(400).json({ success: false, message: "code is required" });
+    const account = await loadAccountTransaction(req, res, "account.status");
+    if (!account) return;
+    const { normCode, trx } = account;
+
+    if (trx.assignment_pending === true) {
+      return res.json({
+        success: true,
+        assignment_pending: true,
+        pending_position: pendingPosition(await listPendingAssignments(), normCode),
+        message: "Waiting for an account to free up. This page will update by itself."
+      });
     }
+    return res.json({
+      success: true,
+      assignment_pending: false,
+      slot_name: trx.slot_name || null,
+      last_email: trx.last_email || null,
+      last_password: secrets.decrypt(trx.last_password || null),
+      end_time: trx.end_time || null,
+      end_time_display: displayTime(trx.end_time)
+    });
+  } catch (err) {
+    console.error("Error in /account/status:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
 
-    const normCode = code.trim().toUpperCase();
-    const snap = await db.ref(`transactions/${normCode}`).get();
-    if (!snap.exists()) {
-      return res.status(404).json({ success: false, message: "Invalid code" });
+// Account: the transactions claimed with this one's user_id, active and
+// expired. user_id is whatever the client sent to /promo/claim, so it proves
+// nothing: only the caller's own code is returned (others would log in) and
+// there are no credentials. Hidden transactions are left out. Works for
+// expired codes too.
+app.post("/account/history", limitCodeAttempts(), async (req, res) => {
+  try {
+    const account = await loadAccountTransaction(req, res, "account.history", { allowExpired: true });
+    if (!account) return;
+    const { normCode, trx } = account;
+    if (!trx.user_id) {
+      return res.json({ success: true, transactions: [] });
     }
-    const trx = snap.val();
 
-    const endTime = parseEndTime(trx.end_time);
-    if (endTime && endTime.getTime() < Date.now()) {
-      return res.status(403).json({ success: false, message: "Your access has expired" });
+    const transactions = (await userHistory(trx.user_id))
+      .filter(t => t.status !== "hidden")
+      .map(t => ({
+        current: t.code === normCode,
+        code: t.code === normCode ? t.code : null,
+        platform: t.platform,
+        slot_id: t.slot_id,
+        slot_name: t.slot_name,
+        start_time: t.start_time,
+        end_time: t.end_time,
+        end_time_display: t.end_time_display,
+        assignment_pending: t.assignment_pending,
+        otp_delivered: t.otp_delivered,
+        code_delivered: t.code_delivered,
+        status: t.status
+      }));
+    res.json({ success: true, transactions });
+  } catch (err) {
+    console.error("Error in /account/history:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Account: renew with a new promo code for the same plan. The code keeps
+// working: its end_time moves by the promo's (or slot's) duration, stacked
+// on the current end while still active and counted from now once expired.
+// The credential stays if it can (the expiry sweep may have given its unit
+// back; then it's re-taken, or another one picked, or the renewal waits in
+// the pending-assignment queue). The promo's used_by entry carries
+// renewed_transaction and the transaction keeps a renewals list.
+// Body: { promo_code } plus token / code as for the other /account routes;
+// the portal sends the session token when logged in, and the code for an
+// expired transaction, which can't log in.
+app.post("/account/renew", limitCodeAttempts(), async (req, res) => {
+  try {
+    const account = await loadAccountTransaction(req, res, "account.renew", { allowExpired: true });
+    if (!account) return;
+    const { normCode, trx } = account;
+    const renewFailed = (reason, details = null) =>
+      auditAccount(req, "account.renew", account, { outcome: "failure", reason, details });
+
+    const promoCode = String((req.body || {}).promo_code || "").trim().toUpperCase();
+    if (!promoCode) {
+      return res.status(400).json({ success: false, message: "promo_code is required" });
+    }
+    const slot = trx.slot_id ? await getSlot(trx.slot_id) : null;
+    if (!slot) {
+      await renewFailed("SLOT_NOT_FOUND");
+      return res.status(409).json({ success: false, message: "This plan can no longer be renewed" });
+    }
+
+    const userId = trx.user_id || null;
+
+    // Per-user limits as in /promo/claim. The platform limit only matters
+    // when an expired plan would become active again.
+    const preview = await db.get(`promo_codes/${promoCode}`);
+    let lockToken = null;
+    if (userId && preview && ["unused", "partial"].includes(promoStatus(preview))) {
+      lockToken = await lockUserClaims(userId);
+      if (!lockToken) {
+        return res.status(429).json({
+          success: false,
+          reason: "CLAIM_IN_PROGRESS",
+          message: CLAIM_FAILURE_MESSAGES.CLAIM_IN_PROGRESS
+        });
+      }
+    }
+
+    try {
+      if (lockToken) {
+        const hit = await findUserLimitHit(userId, {
+          platform: isTransactionActive(trx) ? null : slot.platform || trx.platform || null,
+          group: preview.limit_group || null
+        });
+        if (hit) {
+          await renewFailed(hit.reason, { promo_code: promoCode });
+          return res.status(403).json({ success: false, reason: hit.reason, message: hit.message });
+        }
+      }
+
+      const [ok, promo, usedAt] = await claimPromoCodeAtomic(promoCode, userId, {
+        renewed_transaction: normCode
+      });
+      if (!ok) {
+        if (promo === "CODE_NOT_FOUND") await noteInvalidCode(req);
+        await renewFailed(promo, { promo_code: promoCode });
+        return res.status(400).json({
+          success: false,
+          reason: promo,
+          message: CLAIM_FAILURE_MESSAGES[promo] || "Failed to renew."
+        });
+      }
+
+      // As in /promo/claim: from here the promo use (and maybe a credential
+      // unit) is taken and any failure gives them back.
+      let reserved = null;
+      const rollback = async reason => {
+        try {
+          if (reserved) await releaseCredential(reserved);
+          await releasePromoCode(promoCode, userId, usedAt);
+        } catch (e) {
+          console.error(`Rollback failed for renewal ${normCode} with ${promoCode}:`, e);
+        }
+        await renewFailed(reason, { promo_code: promoCode });
+      };
+
+      try {
+        const plan = (slot.platform || trx.platform || "").toLowerCase();
+        const samePlan = promo.slot_id
+          ? promo.slot_id === trx.slot_id
+          : promo.mode === "platform" && String(promo.platform || "").toLowerCase() === plan;
+        if (!samePlan) {
+          await rollback("WRONG_PLAN");
+          return res.status(400).json({ success: false, message: "This code is for a different plan" });
+        }
+
+        let durationMs = promo.duration ? parseDuration(promo.duration) : null;
+        if (durationMs === null) {
+          const slotDuration = resolveSlotDuration(slot);
+          if (slotDuration.error) {
+            console.error(`[renew] slot ${trx.slot_id}: ${slotDuration.error}`);
+            await rollback("SLOT_DURATION_INVALID");
+            return res.status(500).json({ success: false, message: "Slot duration is misconfigured" });
+          }
+          durationMs = slotDuration.ms;
+        }
+
+        // Keep the credential while it still holds this transaction's unit;
+        // otherwise take a unit on it again, or on whatever the slot offers.
+        let credKey = trx.assign_to || null;
+        let cred = null;
+        const holding = !!credKey && trx.usage_released !== true;
+        if (!holding) {
+          cred = credKey ? await reserveCredential(credKey) : null;
+          if (cred) {
+            reserved = credKey;
+          } else {
+            const picked = await reserveCredentialForSlot(trx.slot_id, slot);
+            credKey = picked.node ? picked.key : null;
+            cred = picked.node;
+            reserved = credKey;
+          }
+        }
+        const switched = !holding && !!credKey && credKey !== (trx.assign_to || null);
+
+        const nowMs = Date.now();
+        const currentEnd = parseEndTime(trx.end_time);
+        const stacked = !!currentEnd && currentEnd.getTime() > nowMs;
+        const renewal = {
+          promo_code: promoCode,
+          renewed_at: nowIso(),
+          previous_end_time: trx.end_time || null,
+          duration: toIsoDuration(durationMs),
+          stacked,
+          limit_group: promo.limit_group || null
+        };
+
+        let renewed = null;
+        const { committed, value } = await db.transaction(`transactions/${normCode}`, current => {
+          renewed = null;
+          if (current === null) return null;
+          // Someone else (another renewal, an admin, the sweep) got here
+          // first; the credential choice above may no longer hold.
+          if (
+            (current.assign_to || null) !== (trx.assign_to || null) ||
+            (current.usage_released === true) !== (trx.usage_released === true) ||
+            current.end_time !== trx.end_time
+          ) {
+            return;
+          }
+          const base = stacked ? currentEnd.getTime() : Date.now();
+          const endTime = formatDateTime(new Date(base + durationMs));
+          renewed = { ...renewal, end_time: endTime };
+          const next = {
+            ...current,
+            end_time: endTime,
+            usage_released: false,
+            expired_at: null,
+            renewals: [...(Array.isArray(current.renewals) ? current.renewals : []), renewed]
+          };
+          if (!holding) {
+            next.assign_to = credKey;
+            next.assignment_pending = !credKey;
+            next.last_email = cred ? cred.email || null : null;
+            next.last_password = cred ? secrets.encrypt(cred.password || null) : null;
+            if (switched && current.assign_to) {
+              next.credentials_changed = true;
+              next.credentials_changed_at = nowIso();
+            }
+          }
+          return next;
+        });
+        if (!committed || value === null || !renewed) {
+          await rollback("RACE_FAILED");
+          return res.status(409).json({ success: false, message: "Could not renew right now. Try again." });
+        }
+
+        if (value.assignment_pending === true) {
+          const queued = await db.get(`${PENDING_ROOT}/${normCode}`);
+          if (queued === null) {
+            await db.set(`${PENDING_ROOT}/${normCode}`, {
+              queued_at: Date.now(),
+              mode: "slot",
+              slot_id: trx.slot_id,
+              platform: value.platform || slot.platform || null
+            });
+          }
+        } else if (!holding) {
+          await db.remove(`${PENDING_ROOT}/${normCode}`);
+        }
+
+        await auditAccount(req, "account.renew", { normCode, trx: value }, {
+          slot_id: trx.slot_id,
+          details: { promo_code: promoCode, end_time: value.end_time, stacked, switched }
+        });
+
+        const endDate = parseEndTime(value.end_time);
+        return res.json({
+          success: true,
+          code: normCode,
+          message: stacked
+            ? "Renewed. The new time was added to your current plan."
+            : "Renewed. Log in with your code to continue.",
+          end_time: value.end_time,
+          end_time_display: endDate ? formatDisplay(endDate) : null,
+          stacked,
+          credentials_changed: switched && !!trx.assign_to,
+          assignment_pending: value.assignment_pending === true
+        });
+      } catch (err) {
+        await rollback("ERROR");
+        throw err;
+      }
+    } finally {
+      if (lockToken) await unlockUserClaims(userId, lockToken);
     }
+  } catch (err) {
+    console.error("Error in /account/renew:", err);
+    res.status(500).json({ success: false, message: "Internal error" });
+  }
+});
+
+// Account: get OTP (TOTP / HOTP, see lib/otp.js) for this credential
+const OTP_NEXT_CODE_SECONDS = 10;
+app.post("/account/get-otp", limitCodeAttempts(), async (req, res) => {
+  try {
+    const account = await loadAccountTransaction(req, res, "account.get_otp");
+    if (!account) return;
+    const { normCode, trx } = account;
 
     const credKey = trx.assign_to;
     if (!credKey) {
+      await auditAccount(req, "account.get_otp", account, {
+        outcome: "failure",
+        reason: "NO_CREDENTIAL"
+      });
       return res.status(400).json({ success: false, message: "No credential assigned" });
     }
 
-    const credSnap = await db.ref(credKey).get();
-    if (!credSnap.exists()) {
+    const cred = await getCredential(db, credKey);
+    if (cred === null) {
+      await auditAccount(req, "account.get_otp", account, {
+        outcome: "failure",
+        reason: "CREDENTIAL_NOT_FOUND"
+      });
       return res.status(404).json({ success: false, message: "Credential not found" });
     }
-    const cred = credSnap.val();
-    const secret = (cred.secret || "").trim();
+    const secret = (secrets.decrypt(cred.secret) || "").trim();
     if (!secret) {
+      await auditAccount(req, "account.get_otp", account, {
+        outcome: "failure",
+        reason: "NO_OTP_SECRET"
+      });
       return res.status(400).json({ success: false, message: "No OTP secret configured" });
     }
 
-    const { code: otp, ttl } = generateTotp(secret, 30, 6);
+    let key;
+    try {
+      key = decodeBase32(secret);
+    } catch (e) {
+      console.error(`[GetOtp] credential ${credKey}: ${e.message}`);
+      await auditAccount(req, "account.get_otp", account, {
+        outcome: "failure",
+        reason: "INVALID_OTP_SECRET"
+      });
+      return res.status(500).json({ success: false, message: "OTP secret is misconfigured" });
+    }
+    const conf = otpSettings(cred);
+
+    const result = { success: true, type: conf.type, digits: conf.digits, message: "OTP generated" };
+    if (conf.type === "hotp") {
+      // Every HOTP code is good once; claim a counter value before using it.
+      const { value } = await db.transaction(
+        `${credentialPath(credKey)}/otp_counter`,
+        cur => (parseInt(cur, 10) || 0) + 1
+      );
+      result.otp = hotp(key, value - 1, conf);
+      result.ttl = null;
+    } else {
+      const { code, ttl, next_code } = totp(key, conf);
+      Object.assign(result, { otp: code, ttl, period: conf.period });
+      // Close to rollover the user may not get it typed in; hand them the
+      // next one as well.
+      if (ttl <= Math.min(OTP_NEXT_CODE_SECONDS, conf.period / 3)) {
+        result.next_otp = next_code;
+        result.next_ttl = ttl + conf.period;
+      }
+    }
 
-    await db.ref(`transactions/${normCode}`).update({
+    await db.update(`transactions/${normCode}`, {
       otp_delivered: true
     });
+    await auditAccount(req, "account.get_otp", account, { details: { type: conf.type } });
 
-    return res.json({
-      success: true,
-      otp,
-      ttl,
-      message: "OTP generated"
-    });
+    return res.json(result);
   } catch (err) {
     console.error("Error in /account/get-otp:", err);
     res.status(500).json({ success: false, message: "Internal error" });
   }
 });
 
-// Account: get code via OOR mail service (like Get Code)
-app.post("/account/get-code", async (req, res) => {
+// Account: get a sign-in code from the platform's mail code provider
+// (settings/mail_code_providers, see lib/mail-codes.js)
+app.post("/account/get-code", limitCodeAttempts(), async (req, res) => {
   try {
-    const { code } = req.body || {};
-    if (!code) {
-      return res.status(400).json({ success: false, message: "code is required" });
-    }
-
-    const normCode = code.trim().toUpperCase();
-    const snap = await db.ref(`transactions/${normCode}`).get();
-    if (!snap.exists()) {
-      return res.status(404).json({ success: false, message: "Invalid code" });
-    }
-    const trx = snap.val();
-
-    const endTime = parseEndTime(trx.end_time);
-    if (endTime && endTime.getTime() < Date.now()) {
-      return res.status(403).json({ success: false, message: "Your access has expired" });
-    }
+    const account = await loadAccountTransaction(req, res, "account.get_code");
+    if (!account) return;
+    const { normCode, trx } = account;
 
     const credKey = trx.assign_to;
     if (!credKey) {
+      await auditAccount(req, "account.get_code", account, {
+        outcome: "failure",
+        reason: "NO_CREDENTIAL"
+      });
       return res.status(400).json({ success: false, message: "No credential assigned" });
     }
 
-    const credSnap = await db.ref(credKey).get();
-    if (!credSnap.exists()) {
+    const cred = await getCredential(db, credKey);
+    if (cred === null) {
+      await auditAccount(req, "account.get_code", account, {
+        outcome: "failure",
+        reason: "CREDENTIAL_NOT_FOUND"
+      });
       return res.status(404).json({ success: false, message: "Credential not found" });
     }
-    const cred = credSnap.val();
     const email = (cred.email || "").trim();
     if (!email) {
       return res.status(400).json({ success: false, message: "No email configured for this credential" });
@@ -764,83 +3627,71 @@ app.post("/account/get-code", async (req, res) => {
     }
     const platformKey = platform.toLowerCase();
 
-    const pathRuntime = `runtime/code_windows/${platformKey}`;
-    const nodeSnap = await db.ref(pathRuntime).get();
-    const node = nodeSnap.val() || {};
-    const nowTs = Math.floor(Date.now() / 1000);
-    const windowUntil = parseInt(node.window_until || 0, 10);
-
-    if (windowUntil > nowTs) {
-      return res.status(429).json({
-        success: false,
-        message: "Code line busy, please try again in a few seconds"
+    const mailConf = resolveMailCodeConfig(await db.get(MAIL_CODE_SETTINGS), platformKey);
+    const confErrors = validateMailCodeConfig(mailConf);
+    if (confErrors.length) {
+      console.error(`[GetCode] bad mail code config for ${platformKey}:`, confErrors.join("; "));
+      await auditAccount(req, "account.get_code", account, {
+        outcome: "failure",
+        reason: "PROVIDER_MISCONFIGURED"
       });
+      return res.status(500).json({ success: false, message: "Mail code provider misconfigured" });
     }
 
-    await db.ref(pathRuntime).update({
-      window_until: nowTs + 90
-    });
-
-    let codeVal = null;
-    let attempts = 0;
-
-    const baseUrl = "https://oormail-services.by-oor.workers.dev/otp";
-
-    while (attempts < 3 && !codeVal) {
-      attempts += 1;
-      const url = new URL(baseUrl);
-      url.searchParams.set("mail", email);
-      url.searchParams.set("platform", platformKey);
-
-      let resp;
-      try {
-        resp = await fetch(url.toString());
-      } catch (e) {
-        console.error("[GetCode] HTTP error:", e);
-        break;
-      }
-
-      const text = await resp.text();
-      let payload;
-      try {
-        payload = JSON.parse(text);
-      } catch {
-        payload = {};
-      }
-
-      const status = String(payload.status || "").toLowerCase();
-      if (status === "success") {
-        const c = String(payload.code || "").trim();
-        if (c) {
-          codeVal = c;
-          break;
-        } else {
-          break;
-        }
-      } else if (status === "not_found") {
-        if (attempts < 3) {
-          await new Promise(r => setTimeout(r, 1000 * attempts));
-          continue;
-        } else {
-          break;
-        }
-      } else {
-        break;
+    // One lookup per mailbox at a time; everyone else waits their turn.
+    const mailbox = mailboxKey(email);
+    const leaseMs = lookupBudgetMs(mailConf) + CODE_LEASE_MARGIN_MS;
+    const turn = await codeQueue.enter(mailbox, normCode, { leaseMs });
+    if (!turn.acquired) {
+      if (turn.joined) {
+        await auditAccount(req, "account.get_code", account, {
+          outcome: "failure",
+          reason: "QUEUED",
+          details: { position: turn.position }
+        });
       }
+      const waitSeconds = Math.ceil(turn.wait_ms / 1000);
+      const retryAfter = Math.min(Math.max(waitSeconds, CODE_POLL_MIN_SECONDS), CODE_POLL_MAX_SECONDS);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(202).json({
+        success: false,
+        queued: true,
+        position: turn.position,
+        estimated_wait_seconds: waitSeconds,
+        retry_after: retryAfter,
+        message:
+          turn.position === 0
+            ? "Already looking for your code, hang on"
+            : `Someone else is getting a code for this account. You're #${turn.position} in line (about ${waitSeconds}s).`
+      });
     }
 
-    await db.ref(pathRuntime).update({ window_until: 0 });
+    let lookup;
+    try {
+      lookup = await fetchMailCode(mailConf, { email, platform: platformKey });
+    } finally {
+      await codeQueue.release(mailbox, normCode);
+    }
+    const { code: codeVal, attempts } = lookup;
 
     if (!codeVal) {
+      await auditAccount(req, "account.get_code", account, {
+        outcome: "failure",
+        reason: lookup.status === "error" ? "PROVIDER_ERROR" : "NO_CODE_FOUND",
+        details: { attempts, provider: mailConf.provider || DEFAULT_PROVIDER }
+      });
       return res.status(200).json({
         success: false,
         message: "No sign-in code found yet. Wait a bit and try again."
       });
     }
 
-    await db.ref(`transactions/${normCode}`).update({
+    await db.update(`transactions/${normCode}`, {
       code_delivered: true
     });
+    await auditAccount(req, "account.get_code", account, {
+      details: { attempts, provider: mailConf.provider || DEFAULT_PROVIDER }
+    });
 
     return res.json({
       success: true,
@@ -854,6 +3705,27 @@ app.post("/account/get-code", async (req, res) => {
 });
 
 // -------- Start server --------
-app.listen(PORT, () => {
-  console.log(`API listening on port ${PORT}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`API listening on port ${PORT} (storage: ${db.backend})`);
+  });
+
+  // Audit retention: prune at startup, then daily.
+  const pruneAudit = () =>
+    auditLog
+      .prune()
+      .then(({ removed }) => removed && console.log(`[audit] pruned ${removed} old entries`))
+      .catch(err => console.error("[audit] prune failed:", err));
+  pruneAudit();
+  setInterval(pruneAudit, 24 * 60 * 60 * 1000).unref();
+
+  // Pending assignments (claims that found no free credential).
+  kickPendingAssignments();
+  setInterval(kickPendingAssignments, PENDING_ASSIGN_INTERVAL_MS).unref();
+
+  // Expired transactions give their credential usage back.
+  scheduledExpirySweep();
+  setInterval(scheduledExpirySweep, EXPIRY_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = { app, db };
@@ -0,0 +1,89 @@
+// Role checks on the transaction routes: support keys may look transactions
+// up and extend them, but not shorten, hide, end or reassign a customer's
+// account. Issuing a key never replaces one that holds the same id.
+const crypto = require("crypto");
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAdminKeys } = require("../lib/admin-keys");
+const { createMemoryStorage } = require("../lib/storage");
+const { HOUR, at, serve, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const CODE = "OORROLES1";
+
+const { admin } = serve(app);
+let supportKey;
+
+function call(key, method, url, body) {
+  return admin(method, url, body, key);
+}
+
+before(async () => {
+  await seedTransaction(db, CODE, { end_time: at(6 * HOUR) });
+
+  const issued = await call(process.env.ADMIN_KEY, "POST", "/admin/keys", {
+    name: "helpdesk",
+    role: "support"
+  });
+  assert.equal(issued.status, 201, issued.data.message);
+  supportKey = issued.data.key;
+});
+
+test("support can look up and extend transactions", async () => {
+  const list = await call(supportKey, "GET", "/admin/transactions");
+  assert.equal(list.status, 200, list.data.message);
+
+  const one = await call(supportKey, "GET", `/admin/transactions/${CODE}`);
+  assert.equal(one.status, 200, one.data.message);
+
+  const extended = await call(supportKey, "POST", `/admin/transactions/${CODE}/end-time`, { hours: 2 });
+  assert.equal(extended.status, 200, extended.data.message);
+});
+
+test("support can't shorten or end a transaction through end-time", async () => {
+  const endTime = (await db.get(`transactions/${CODE}`)).end_time;
+
+  const shortened = await call(supportKey, "POST", `/admin/transactions/${CODE}/end-time`, { hours: -1000 });
+  assert.equal(shortened.status, 403, shortened.data.message);
+
+  const past = await call(supportKey, "POST", `/admin/transactions/${CODE}/end-time`, {
+    end_time: "2000-01-01T00:00:00Z"
+  });
+  assert.equal(past.status, 403, past.data.message);
+
+  assert.equal((await db.get(`transactions/${CODE}`)).end_time, endTime);
+});
+
+test("owners can still bring end_time forward", async () => {
+  const res = await call(process.env.ADMIN_KEY, "POST", `/admin/transactions/${CODE}/end-time`, { hours: -1 });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.transaction.status, "active");
+});
+
+test("support can't hide, end or reassign transactions", async () => {
+  for (const action of ["hide", "terminate", "reassign"]) {
+    const res = await call(supportKey, "POST", `/admin/transactions/${CODE}/${action}`, {});
+    assert.equal(res.status, 403, `${action}: ${res.data.message}`);
+  }
+  const trx = await db.get(`transactions/${CODE}`);
+  assert.notEqual(trx.hidden, true);
+});
+
+test("owners can still hide transactions", async () => {
+  const res = await call(process.env.ADMIN_KEY, "POST", `/admin/transactions/${CODE}/hide`, {});
+  assert.equal(res.status, 200, res.data.message);
+});
+
+test("a new key never takes over an id that is in use", async t => {
+  const keys = createAdminKeys(createMemoryStorage());
+  const first = await keys.issue({ name: "first", role: "owner" });
+
+  // The next id drawn is the one already taken, then a fresh one.
+  const ids = [Buffer.from(first.summary.id, "hex"), Buffer.from("0badf00d", "hex")];
+  const randomBytes = crypto.randomBytes;
+  t.mock.method(crypto, "randomBytes", n => (n === 4 ? ids.shift() : randomBytes(n)));
+
+  const second = await keys.issue({ name: "second", role: "codes" });
+  assert.equal(second.summary.id, "0badf00d");
+  assert.deepEqual(await keys.authenticate(first.key), { id: first.summary.id, name: "first", role: "owner" });
+});
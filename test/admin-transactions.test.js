@@ -0,0 +1,73 @@
+// Admin transaction management: search, hide, terminate and reassign, each
+// written to the record's admin_history.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { HOUR, at, serve, seedSlots, seedCredential, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin } = serve(app);
+
+before(async () => {
+  await seedSlots(db);
+  await seedCredential(db, "cred_old", { usage_count: 1 });
+  await seedCredential(db, "cred_new");
+  await seedTransaction(db, "OORTRXA1", { user_id: "alice", assign_to: "cred_old" });
+  await seedTransaction(db, "OORTRXB2", { user_id: "bob", assign_to: "cred_old" });
+  await seedTransaction(db, "OORTRXC3", { user_id: "carol", end_time: at(-HOUR) });
+});
+
+test("search filters by user, credential and status", async () => {
+  const byUser = await admin("GET", "/admin/transactions?user_id=alice");
+  assert.deepEqual(byUser.data.transactions.map(t => t.code), ["OORTRXA1"]);
+
+  const byCred = await admin("GET", "/admin/transactions?credential=cred_old");
+  assert.equal(byCred.data.total, 2);
+
+  const expired = await admin("GET", "/admin/transactions?status=expired");
+  assert.deepEqual(expired.data.transactions.map(t => t.code), ["OORTRXC3"]);
+
+  const one = await admin("GET", "/admin/transactions/oortrxa1");
+  assert.equal(one.data.transaction.status, "active");
+  assert.equal(one.data.transaction.last_password, undefined);
+});
+
+test("a hidden transaction can't log in until it's unhidden", async () => {
+  const hide = await admin("POST", "/admin/transactions/OORTRXA1/hide", { reason: "chargeback" });
+  assert.equal(hide.data.transaction.status, "hidden");
+  assert.equal((await call("POST", "/user/login", { code: "OORTRXA1" })).status, 403);
+
+  await admin("POST", "/admin/transactions/OORTRXA1/hide", { hidden: false });
+  assert.equal((await call("POST", "/user/login", { code: "OORTRXA1" })).status, 200);
+
+  const history = (await db.get("transactions/OORTRXA1")).admin_history;
+  assert.deepEqual(history.map(h => h.action), ["hide", "unhide"]);
+  assert.equal(history[0].reason, "chargeback");
+  assert.equal(history[0].by, "owner");
+});
+
+test("terminate needs a reason and ends access now", async () => {
+  assert.equal((await admin("POST", "/admin/transactions/OORTRXB2/terminate", {})).status, 400);
+
+  const res = await admin("POST", "/admin/transactions/OORTRXB2/terminate", { reason: "abuse" });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.transaction.status, "expired");
+  assert.ok(res.data.transaction.terminated_at);
+
+  const again = await admin("POST", "/admin/transactions/OORTRXB2/terminate", { reason: "abuse" });
+  assert.equal(again.status, 400);
+});
+
+test("reassign moves the usage unit to the new credential", async () => {
+  const res = await admin("POST", "/admin/transactions/OORTRXA1/reassign", { credential: "cred_new" });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.transaction.assign_to, "cred_new");
+  assert.equal(res.data.transaction.last_email, "cred_new@example.com");
+
+  assert.equal((await db.get("credentials/cred_old")).usage_count, 0);
+  assert.equal((await db.get("credentials/cred_new")).usage_count, 1);
+
+  const same = await admin("POST", "/admin/transactions/OORTRXA1/reassign", { credential: "cred_new" });
+  assert.equal(same.status, 400);
+  const missing = await admin("POST", "/admin/transactions/OORTRXA1/reassign", { credential: "nope" });
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,60 @@
+// Analytics: date ranges are calendar days in the display zone, and the
+// report counts codes, claim failures and active plans from stored data.
+process.env.DISPLAY_TIME_ZONE = "Asia/Kolkata";
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRange, DEFAULT_RANGE_DAYS, MAX_RANGE_DAYS } = require("../lib/analytics");
+const { serve, seedSlots } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin, generate, claim } = serve(app);
+
+before(async () => {
+  await seedSlots(db);
+});
+
+test("parseRange takes inclusive days in the display zone", () => {
+  const range = parseRange({ from: "2024-02-28", to: "2024-03-01" });
+  assert.deepEqual(range.days, ["2024-02-28", "2024-02-29", "2024-03-01"]);
+  // Midnight in Kolkata is 18:30 UTC the day before; the end is exclusive.
+  assert.equal(new Date(range.start).toISOString(), "2024-02-27T18:30:00.000Z");
+  assert.equal(new Date(range.end).toISOString(), "2024-03-01T18:30:00.000Z");
+
+  // 20:00 UTC on 2024-05-10 is already 2024-05-11 in Kolkata.
+  const recent = parseRange({}, Date.parse("2024-05-10T20:00:00Z"));
+  assert.equal(recent.toDay, "2024-05-11");
+  assert.equal(recent.days.length, DEFAULT_RANGE_DAYS);
+  assert.equal(recent.fromDay, "2024-04-12");
+});
+
+test("parseRange rejects malformed, reversed and oversized ranges", () => {
+  assert.equal(parseRange({ from: "2024-5-1" }).error, "from must be YYYY-MM-DD");
+  assert.equal(parseRange({ from: "2024-05-02", to: "2024-05-01" }).error, "from must not be after to");
+  assert.equal(
+    parseRange({ from: "2023-01-01", to: "2024-12-31" }).error,
+    `Range can be at most ${MAX_RANGE_DAYS} days`
+  );
+});
+
+test("the report counts generated and claimed codes and claim failures", async () => {
+  await generate();
+  const claimed = await claim("u1");
+  assert.equal(claimed.status, 200, claimed.data.message);
+  await call("POST", "/promo/claim", { code: "OORNOSUCH", user_id: "u2" });
+
+  const res = await admin("GET", "/admin/analytics");
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.codes.generated, 2);
+  assert.equal(res.data.codes.claimed, 1);
+  assert.equal(res.data.codes.by_slot[0].slot_id, "s1");
+  assert.equal(res.data.codes.by_day.length, DEFAULT_RANGE_DAYS);
+  assert.deepEqual(res.data.claim_failures.by_reason, [
+    { reason: "CODE_NOT_FOUND", count: 1, message: "This code does not exist." }
+  ]);
+  assert.deepEqual(res.data.active_by_platform, [{ platform: "Netflix", active: 1, assignment_pending: 1 }]);
+
+  const bad = await admin("GET", "/admin/analytics?from=yesterday");
+  assert.equal(bad.status, 400);
+  assert.equal(bad.data.message, "from must be YYYY-MM-DD");
+});
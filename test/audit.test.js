@@ -0,0 +1,60 @@
+// Audit log: admin and user actions are recorded with their actor, can be
+// queried back by filter, and only entries past the retention window are
+// pruned.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStorage } = require("../lib/storage");
+const { createAuditLog } = require("../lib/audit");
+const { HOUR, serve, seedSlots } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin, generate } = serve(app);
+const DAY = 24 * HOUR;
+
+before(async () => {
+  await seedSlots(db);
+});
+
+test("code generation and claims land in the audit log", async () => {
+  const code = await generate();
+  await call("POST", "/promo/claim", { code, user_id: "u1" });
+  await call("POST", "/promo/claim", { code, user_id: "u2" });
+
+  const res = await admin("GET", `/admin/audit?code=${code.toLowerCase()}`);
+  assert.equal(res.status, 200);
+  const find = (action, outcome) => res.data.entries.find(e => e.action === action && e.outcome === outcome);
+  const generated = find("admin.code.generate", "success");
+  const claimed = find("promo.claim", "success");
+  const claimFailed = find("promo.claim", "failure");
+  assert.equal(res.data.entries.length, 3);
+  assert.equal(generated.action, "admin.code.generate");
+  assert.equal(generated.actor_type, "admin");
+  assert.equal(generated.actor, "owner");
+  assert.equal(claimed.user_id, "u1");
+  assert.equal(claimFailed.reason, "CODE_ALREADY_USED_UP");
+  assert.equal(claimFailed.actor, "u2");
+
+  const claims = await admin("GET", "/admin/audit?action=promo.&outcome=success");
+  assert.ok(claims.data.entries.length >= 1);
+  assert.ok(claims.data.entries.every(e => e.action.startsWith("promo.") && e.outcome === "success"));
+
+  assert.equal((await admin("GET", "/admin/audit?from=yesterday-ish")).status, 400);
+});
+
+test("query and prune read by time range", async () => {
+  const now = Date.now();
+  const data = {};
+  for (const [id, age] of [["a", 40], ["b", 31], ["c", 1]]) {
+    data[`${now - age * DAY}_${id}`] = { at: new Date(now - age * DAY).toISOString(), action: `x.${id}` };
+  }
+  const db = createMemoryStorage({ data: { audit_log: data } });
+  const audit = createAuditLog(db, { retention: 30 });
+
+  const recent = await audit.query({ from: new Date(now - 35 * DAY).toISOString() });
+  assert.deepEqual(recent.entries.map(e => e.action), ["x.c", "x.b"]);
+
+  assert.equal((await audit.prune({ dryRun: true })).removed, 2);
+  assert.equal(Object.keys(await db.get("audit_log")).length, 3);
+  assert.equal((await audit.prune()).removed, 2);
+  assert.deepEqual((await audit.query()).entries.map(e => e.action), ["x.c"]);
+});
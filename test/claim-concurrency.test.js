@@ -0,0 +1,85 @@
+// Parallel /promo/claim requests against the memory backend: a multi-use
+// code must never go past max_uses and a credential never past max_usage.
+//
+// The memory backend finishes every call in one go, so on its own it would
+// hardly interleave requests. Each storage call here first yields a random
+// number of turns, so concurrent claims read, reserve and write in mixed-up
+// order the way they would against a remote database. transaction() itself
+// stays atomic, as Firebase's is.
+process.env.RATE_LIMIT_IP_MAX = "100000";
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve, seedSlots, seedCredential } = require("./helpers");
+const { app, db } = require("../server");
+
+for (const method of ["get", "set", "update", "remove", "transaction"]) {
+  const original = db[method].bind(db);
+  db[method] = async (...args) => {
+    for (let i = Math.floor(Math.random() * 4); i > 0; i--) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return original(...args);
+  };
+}
+
+const { call, generate } = serve(app);
+
+function claimAll(code, count) {
+  return Promise.all(
+    Array.from({ length: count }, (_, i) => call("POST", "/promo/claim", { code, user_id: `user${i}` }))
+  );
+}
+
+async function transactionsOf(code) {
+  const all = (await db.get("transactions")) || {};
+  return Object.entries(all).filter(([, trx]) => trx.promo_code === code);
+}
+
+before(async () => {
+  await seedSlots(db, {
+    roomy: { name: "Roomy", duration_hours: 6 },
+    tight: { name: "Tight", platform: "Prime", duration_hours: 6 }
+  });
+  await seedCredential(db, "cred_roomy", { belongs_to_slot: "roomy", max_usage: 1000 });
+  await seedCredential(db, "cred_tight", { belongs_to_slot: "tight", max_usage: 3 });
+});
+
+test("a multi-use code is never claimed past max_uses", async () => {
+  const code = await generate({ slotId: "roomy", maxUses: 5 });
+  const results = await claimAll(code, 25);
+
+  const ok = results.filter(r => r.data.success);
+  const promo = await db.get(`promo_codes/${code}`);
+  assert.ok(promo.used_count <= promo.max_uses);
+  assert.equal(ok.length, 5);
+  assert.equal(promo.used_count, 5);
+  assert.equal(promo.used_by.length, 5);
+
+  // One transaction per successful claim, none overwritten, and no login
+  // code that could be guessed from the shared one.
+  const loginCodes = new Set(ok.map(r => r.data.code));
+  assert.equal(loginCodes.size, 5);
+  for (const login of loginCodes) assert.ok(!login.startsWith(code), login);
+  assert.equal((await transactionsOf(code)).length, 5);
+  for (const r of results.filter(r => !r.data.success)) {
+    assert.ok(["CODE_ALREADY_USED_UP", "RACE_FAILED"].includes(r.data.reason), r.data.reason);
+  }
+});
+
+test("a credential is never given out past max_usage", async () => {
+  const code = await generate({ slotId: "tight", maxUses: 10 });
+  const results = await claimAll(code, 10);
+  assert.ok(results.every(r => r.data.success));
+
+  const cred = await db.get("credentials/cred_tight");
+  assert.ok(cred.usage_count <= cred.max_usage);
+  assert.equal(cred.usage_count, 3);
+
+  // Every unit taken belongs to exactly one transaction; the rest wait.
+  const transactions = await transactionsOf(code);
+  const assigned = transactions.filter(([, trx]) => trx.assign_to === "cred_tight");
+  const waiting = transactions.filter(([, trx]) => trx.assignment_pending === true);
+  assert.equal(assigned.length, cred.usage_count);
+  assert.equal(waiting.length, 10 - cred.usage_count);
+});
@@ -0,0 +1,95 @@
+// Per-mailbox queue for code lookups: one lookup at a time, waiters served
+// first come first served, and neither a crashed holder nor a waiter who
+// stopped polling can block the line.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStorage } = require("../lib/storage");
+const { mailboxKey, createCodeQueue } = require("../lib/code-queue");
+const { serve, seedCredential, seedTransaction, coldTransactions } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call } = serve(app);
+const LEASE = { leaseMs: 10000 };
+
+function queueAt(clock) {
+  return createCodeQueue(createMemoryStorage(), { staleMs: 30000, now: () => clock.t });
+}
+
+before(async () => {
+  await seedCredential(db, "cred1", { email: "Shared.Box@example.com", usage_count: 2 });
+  await seedTransaction(db, "OORQUEUE1", { assign_to: "cred1" });
+  await seedTransaction(db, "OORQUEUE2", { assign_to: "cred1" });
+  await db.set("settings/mail_code_providers/netflix", { provider: "mock", code: "246810", attempts: 1 });
+});
+
+test("waiters get the mailbox in the order they came", async () => {
+  const clock = { t: 1000 };
+  const queue = queueAt(clock);
+
+  assert.deepEqual(await queue.enter("box", "A", LEASE), { acquired: true });
+  const b = await queue.enter("box", "B", LEASE);
+  const c = await queue.enter("box", "C", LEASE);
+  assert.equal(b.position, 1);
+  assert.equal(b.joined, true);
+  assert.equal(c.position, 2);
+  assert.ok(c.wait_ms > b.wait_ms);
+
+  assert.equal((await queue.enter("box", "A", LEASE)).position, 0);
+  assert.equal((await queue.enter("other", "D", LEASE)).acquired, true);
+
+  clock.t += 2000;
+  await queue.release("box", "A");
+  assert.equal((await queue.enter("box", "C", LEASE)).position, 2);
+  assert.deepEqual(await queue.enter("box", "B", LEASE), { acquired: true });
+});
+
+test("an expired lease and a silent waiter both lose their turn", async () => {
+  const clock = { t: 1000 };
+  const queue = queueAt(clock);
+
+  await queue.enter("box", "A", LEASE);
+  await queue.enter("box", "B", LEASE);
+  clock.t = 6000;
+  await queue.enter("box", "C", LEASE);
+  clock.t = 20000;
+  assert.equal((await queue.enter("box", "C", LEASE)).position, 2);
+
+  // A's lease has run out and B hasn't polled for longer than staleMs; C has.
+  clock.t = 37000;
+  assert.deepEqual(await queue.enter("box", "C", LEASE), { acquired: true });
+
+  // A's late release doesn't free C's lookup.
+  await queue.release("box", "A");
+  assert.equal((await queue.enter("box", "B", LEASE)).position, 1);
+});
+
+test("release reaches storage that first runs transactions with null", async () => {
+  const db = coldTransactions(createMemoryStorage());
+  const queue = createCodeQueue(db);
+
+  await queue.enter("box", "A", LEASE);
+  assert.equal((await queue.enter("box", "B", LEASE)).position, 1);
+  await queue.release("box", "A");
+  assert.deepEqual(await queue.enter("box", "B", LEASE), { acquired: true });
+});
+
+test("get-code queues a second lookup on the same mailbox", async () => {
+  const mailbox = mailboxKey("shared.box@example.com");
+  assert.equal(mailbox, "shared_box@example_com");
+  await db.set(`runtime/code_queue/${mailbox}/lock`, {
+    holder: "OORQUEUE1",
+    started_at: Date.now(),
+    lease_until: Date.now() + 60000
+  });
+
+  const queued = await call("POST", "/account/get-code", { code: "OORQUEUE2" });
+  assert.equal(queued.status, 202);
+  assert.equal(queued.data.queued, true);
+  assert.equal(queued.data.position, 1);
+  assert.ok(Number(queued.headers.get("retry-after")) >= 6);
+
+  await db.remove(`runtime/code_queue/${mailbox}/lock`);
+  const served = await call("POST", "/account/get-code", { code: "OORQUEUE2" });
+  assert.equal(served.status, 200, served.data.message);
+  assert.equal(served.data.code, "246810");
+});
@@ -0,0 +1,85 @@
+// Credential admin routes: create checks its input, the list counts active
+// transactions per credential, a locked credential is skipped by claims
+// until it's unlocked, and a retired one leaves credential_index for good.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { HOUR, at, serve, seedSlots, seedCredential, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { admin, claim } = serve(app);
+
+before(async () => {
+  await seedSlots(db, {
+    s1: { name: "Evening" },
+    s2: { name: "Morning" },
+    s3: { name: "Night" }
+  });
+});
+
+test("create rejects incomplete input, bad keys and duplicates", async () => {
+  const empty = await admin("POST", "/admin/credentials", {});
+  assert.equal(empty.status, 400);
+  assert.deepEqual(empty.data.errors, [
+    "email is required",
+    "password is required",
+    "belongs_to_slot or belongs_to_platform is required"
+  ]);
+
+  const fields = { email: "new@example.com", password: "pw", belongs_to_slot: "s1" };
+  const badUsage = await admin("POST", "/admin/credentials", { ...fields, max_usage: -1 });
+  assert.deepEqual(badUsage.data.errors, ["max_usage must be an integer >= 0"]);
+  const badKey = await admin("POST", "/admin/credentials", { ...fields, key: "nope" });
+  assert.equal(badKey.status, 400);
+
+  const created = await admin("POST", "/admin/credentials", { ...fields, key: "cred_new" });
+  assert.equal(created.status, 200, created.data.message);
+  assert.equal(created.data.credential.usage_count, 0);
+  assert.equal(created.data.credential.locked, 0);
+  assert.equal(await db.get("credential_index/by_slot/s1/cred_new"), true);
+
+  const duplicate = await admin("POST", "/admin/credentials", { ...fields, key: "cred_new" });
+  assert.equal(duplicate.status, 400);
+  assert.equal(duplicate.data.message, "Credential already exists");
+});
+
+test("the list counts only active transactions", async () => {
+  await seedCredential(db, "cred_busy", { belongs_to_slot: "other" });
+  await seedTransaction(db, "OORBUSY1", { assign_to: "cred_busy" });
+  await seedTransaction(db, "OORBUSY2", { assign_to: "cred_busy" });
+  await seedTransaction(db, "OORBUSY3", { assign_to: "cred_busy", end_time: at(-HOUR) });
+
+  const res = await admin("GET", "/admin/credentials");
+  assert.equal(res.status, 200);
+  const busy = res.data.credentials.find(c => c.key === "cred_busy");
+  assert.equal(busy.active_transactions, 2);
+  assert.equal(busy.password, undefined);
+});
+
+test("claims skip a locked credential until it's unlocked", async () => {
+  await seedCredential(db, "cred_lock", { belongs_to_slot: "s2" });
+
+  const locked = await admin("PATCH", "/admin/credentials/cred_lock", { locked: 1 });
+  assert.equal(locked.data.credential.locked, 1);
+  const waiting = await claim("u1", { slotId: "s2" });
+  assert.equal(waiting.data.assignment_pending, true);
+
+  await admin("PATCH", "/admin/credentials/cred_lock", { locked: 0 });
+  const served = await claim("u2", { slotId: "s2" });
+  assert.equal(served.data.last_email, "cred_lock@example.com");
+});
+
+test("a retired credential is locked and leaves the index", async () => {
+  await seedCredential(db, "cred_old", { belongs_to_slot: "s3" });
+  assert.equal(await db.get("credential_index/by_slot/s3/cred_old"), true);
+
+  const res = await admin("POST", "/admin/credentials/cred_old/retire");
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.credential.retired, true);
+  assert.equal(res.data.credential.locked, 1);
+  assert.equal(await db.get("credential_index/by_slot/s3/cred_old"), null);
+
+  // Still readable for the transactions that point at it.
+  assert.equal((await admin("GET", "/admin/credentials/cred_old")).status, 200);
+  assert.equal((await claim("u3", { slotId: "s3" })).data.assignment_pending, true);
+  assert.equal((await admin("POST", "/admin/credentials/cred_nope/retire")).status, 404);
+});
@@ -0,0 +1,51 @@
+// Editing a credential whose password / secret are sealed with SECRETS_KEY:
+// the edit view must not hand the ciphertext out, and a PATCH without those
+// fields must leave them as they are.
+process.env.SECRETS_KEY = Buffer.alloc(32, 7).toString("base64");
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve } = require("./helpers");
+const { app, db } = require("../server");
+
+const { admin } = serve(app);
+
+test("a sealed credential can be loaded and edited", async () => {
+  const created = await admin("POST", "/admin/credentials", {
+    key: "cred1",
+    email: "a@example.com",
+    password: "hunter2",
+    secret: "JBSWY3DPEHPK3PXP",
+    belongs_to_platform: "Netflix"
+  });
+  assert.equal(created.status, 200, created.data.message);
+
+  const stored = await db.get("credentials/cred1");
+  assert.match(stored.password, /^enc:v1:/);
+  assert.match(stored.secret, /^enc:v1:/);
+
+  const loaded = await admin("GET", "/admin/credentials/cred1");
+  assert.equal(loaded.status, 200);
+  assert.equal(loaded.data.credential.password, undefined);
+  assert.equal(loaded.data.credential.secret, undefined);
+  assert.equal(loaded.data.credential.has_password, true);
+  assert.equal(loaded.data.credential.has_secret, true);
+
+  // What the edit form sends when password / secret are left blank.
+  const { email, belongs_to_platform } = loaded.data.credential;
+  const edited = await admin("PATCH", "/admin/credentials/cred1", {
+    email,
+    belongs_to_slot: "",
+    belongs_to_platform,
+    max_usage: 5,
+    expiry_date: null,
+    invite_link: null
+  });
+  assert.equal(edited.status, 200, edited.data.message);
+  assert.equal(edited.data.credential.max_usage, 5);
+  assert.equal(edited.data.credential.has_secret, true);
+
+  const saved = await db.get("credentials/cred1");
+  assert.equal(saved.password, stored.password);
+  assert.equal(saved.secret, stored.secret);
+});
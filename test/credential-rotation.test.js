@@ -0,0 +1,57 @@
+// Rotating a credential's login: active transactions get the new details and
+// are told once on their next login, expired and hidden ones keep what they
+// had, and the rotation is kept in credential_rotations/<key>.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { HOUR, at, serve, seedCredential, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin } = serve(app);
+const OLD = { last_email: "cred1@example.com", last_password: "pw" };
+
+before(async () => {
+  await seedCredential(db, "cred1", { usage_count: 3 });
+  await seedTransaction(db, "OORLIVE1", { assign_to: "cred1", ...OLD });
+  await seedTransaction(db, "OOREXPD1", { assign_to: "cred1", end_time: at(-HOUR), ...OLD });
+  await seedTransaction(db, "OORHIDE1", { assign_to: "cred1", hidden: true, ...OLD });
+});
+
+test("a new password reaches active transactions only", async () => {
+  const res = await admin("POST", "/admin/credentials/cred1/rotate", { password: "new-pw", reason: "leaked" });
+  assert.equal(res.status, 200, res.data.message);
+  assert.deepEqual(res.data.fields, ["password"]);
+  assert.equal(res.data.transactions_updated, 1);
+
+  const live = await db.get("transactions/OORLIVE1");
+  assert.equal(live.last_email, "cred1@example.com");
+  assert.equal(live.last_password, "new-pw");
+  assert.equal(live.credentials_changed, true);
+  for (const code of ["OOREXPD1", "OORHIDE1"]) {
+    const trx = await db.get(`transactions/${code}`);
+    assert.equal(trx.last_password, "pw", code);
+    assert.equal(trx.credentials_changed, undefined, code);
+  }
+
+  const rotations = Object.values(await db.get("credential_rotations/cred1"));
+  assert.equal(rotations.length, 1);
+  assert.deepEqual(rotations[0].fields, ["password"]);
+  assert.equal(rotations[0].reason, "leaked");
+  assert.equal(rotations[0].by, "owner");
+});
+
+test("the next login reports the change once", async () => {
+  const first = await call("POST", "/user/login", { code: "OORLIVE1" });
+  assert.equal(first.status, 200, first.data.message);
+  assert.equal(first.data.credentials_changed, true);
+  assert.equal(first.data.last_password, "new-pw");
+
+  const second = await call("POST", "/user/login", { code: "OORLIVE1" });
+  assert.equal(second.data.credentials_changed, false);
+});
+
+test("a rotation that changes nothing is refused", async () => {
+  const res = await admin("POST", "/admin/credentials/cred1/rotate", { password: "new-pw" });
+  assert.equal(res.status, 400);
+  assert.equal(res.data.message, "Nothing changed");
+  assert.equal(Object.keys(await db.get("credential_rotations/cred1")).length, 1);
+});
@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateStrategySettings } = require("../lib/credential-strategies");
+
+test("validateStrategySettings normalizes names and fills in the default", () => {
+  const { errors, data } = validateStrategySettings({
+    slots: { slot_1: "Least-Used" },
+    platforms: { Netflix: "round robin" }
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(data, {
+    slots: { slot_1: "least_used" },
+    platforms: { Netflix: "round_robin" },
+    default: "first"
+  });
+});
+
+test("validateStrategySettings rejects unknown strategies and bad keys", () => {
+  const { errors } = validateStrategySettings({
+    slots: { slot_1: "random", "a/b": "first" },
+    platforms: ["first"],
+    default: "fastest"
+  });
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^default must be one of/);
+  assert.match(errors[1], /^slots\.slot_1 must be one of/);
+  assert.equal(errors[2], 'slots: invalid key "a/b"');
+  assert.equal(errors[3], "platforms must be an object");
+});
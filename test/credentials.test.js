@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStorage } = require("../lib/storage");
+const {
+  saveCredential,
+  updateCredential,
+  removeCredential,
+  listCredentialKeys,
+  rebuildCredentialIndex,
+  validateCredentialInput,
+  withOtpReset
+} = require("../lib/credentials");
+
+const HOTP_URI = "otpauth://hotp/x?secret=JBSWY3DPEHPK3PXP&counter=5&digits=8";
+
+test("a new secret drops the old secret's otp_* settings", () => {
+  const { data } = validateCredentialInput({ secret: "GEZDGNBVGY3TQOJQ" }, { partial: true });
+  assert.deepEqual(withOtpReset(data, "JBSWY3DPEHPK3PXP"), {
+    otp_type: null,
+    otp_algorithm: null,
+    otp_digits: null,
+    otp_period: null,
+    otp_counter: null,
+    secret: "GEZDGNBVGY3TQOJQ"
+  });
+});
+
+test("clearing the secret clears its otp_* settings", () => {
+  const { data } = validateCredentialInput({ secret: null }, { partial: true });
+  const out = withOtpReset(data, "JBSWY3DPEHPK3PXP");
+  assert.equal(out.secret, null);
+  assert.equal(out.otp_counter, null);
+});
+
+test("settings that come with the new secret are kept", () => {
+  const { data } = validateCredentialInput({ secret: HOTP_URI, otp_counter: 9 }, { partial: true });
+  const out = withOtpReset(data, "GEZDGNBVGY3TQOJQ");
+  assert.equal(out.otp_type, "hotp");
+  assert.equal(out.otp_digits, 8);
+  assert.equal(out.otp_counter, 9);
+  assert.equal(out.otp_algorithm, "SHA1");
+});
+
+test("the same secret again, or no secret at all, leaves the settings alone", () => {
+  assert.deepEqual(withOtpReset({ secret: "JBSWY3DPEHPK3PXP" }, "JBSWY3DPEHPK3PXP"), {
+    secret: "JBSWY3DPEHPK3PXP"
+  });
+  assert.deepEqual(withOtpReset({ max_usage: 3 }, "JBSWY3DPEHPK3PXP"), { max_usage: 3 });
+});
+
+test("the index follows credentials as they're saved, moved and retired", async () => {
+  const db = createMemoryStorage();
+  await saveCredential(db, "cred1", { email: "a@x", belongs_to_slot: "Slot_1" });
+  await saveCredential(db, "cred2", { email: "b@x", belongs_to_platform: "Netflix, Prime" });
+  await saveCredential(db, "cred3", { email: "c@x", belongs_to_platform: "all" });
+  await saveCredential(db, "cred4", { email: "d@x", belongs_to_slot: "slot_2" });
+
+  assert.deepEqual(await listCredentialKeys(db, { slotId: "slot_1", platform: "netflix" }), [
+    "cred1",
+    "cred2",
+    "cred3"
+  ]);
+  assert.deepEqual(await db.get("credential_index/by_platform/prime"), { cred2: true });
+
+  const before = await db.get("credentials/cred1");
+  await updateCredential(db, "cred1", before, { belongs_to_slot: "slot_2" });
+  assert.deepEqual(await listCredentialKeys(db, { slotId: "slot_2" }), ["cred1", "cred3", "cred4"]);
+
+  await saveCredential(db, "cred4", { email: "d@x", belongs_to_slot: "slot_2", retired: true });
+  await removeCredential(db, "cred3");
+  assert.deepEqual(await listCredentialKeys(db, { slotId: "slot_2" }), ["cred1"]);
+  assert.equal((await db.get("credentials/cred4")).retired, true);
+});
+
+test("rebuildCredentialIndex recomputes the index from credentials/", async () => {
+  const db = createMemoryStorage({
+    data: {
+      credentials: { cred1: { belongs_to_slot: "s1" }, cred2: { belongs_to_platform: "Prime" } },
+      credential_index: { by_slot: { stale: { cred9: true } } }
+    }
+  });
+  assert.equal(await rebuildCredentialIndex(db), 2);
+  assert.deepEqual(await db.get("credential_index"), {
+    by_slot: { s1: { cred1: true } },
+    by_platform: { prime: { cred2: true } }
+  });
+});
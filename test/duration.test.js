@@ -0,0 +1,73 @@
+// Duration parsing, and the slot duration / per-code override a claim ends up
+// with.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_DURATION_MS, parseDuration, toIsoDuration, describeDuration } = require("../lib/duration");
+const { parseDateTime } = require("../lib/time");
+const { HOUR, serve, seedSlots } = require("./helpers");
+const { app, db } = require("../server");
+
+const { admin, claim } = serve(app);
+
+const MIN = HOUR / 60;
+const DAY = 24 * HOUR;
+
+before(async () => {
+  await seedSlots(db, {
+    weekly: { name: "Weekly", duration: "7 days" },
+    legacy: { name: "Legacy", duration_hours: 3 }
+  });
+});
+
+async function claimLength(body) {
+  const res = await claim("u1", body);
+  assert.equal(res.status, 200, res.data.message);
+  const trx = await db.get(`transactions/${res.data.code}`);
+  return {
+    ms: parseDateTime(trx.end_time).getTime() - parseDateTime(trx.start_time).getTime(),
+    duration: trx.duration
+  };
+}
+
+test("parseDuration reads hours, words and ISO 8601", () => {
+  assert.equal(parseDuration(6), 6 * HOUR);
+  assert.equal(parseDuration("6"), 6 * HOUR);
+  assert.equal(parseDuration("1.5h"), 90 * MIN);
+  assert.equal(parseDuration("90m"), 90 * MIN);
+  assert.equal(parseDuration("7 days"), 7 * DAY);
+  assert.equal(parseDuration("1 day 12 hours"), 36 * HOUR);
+  assert.equal(parseDuration("2w"), 14 * DAY);
+  assert.equal(parseDuration("P7D"), 7 * DAY);
+  assert.equal(parseDuration("pt90m"), 90 * MIN);
+  assert.equal(parseDuration("P1DT12H"), 36 * HOUR);
+});
+
+test("parseDuration rejects months, junk and out-of-range values", () => {
+  for (const bad of ["", null, "P1M", "P", "PT", "3 fortnights", "7 days extra", 0, -1, "366.5d"]) {
+    assert.equal(parseDuration(bad), null, String(bad));
+  }
+  assert.equal(parseDuration("366d"), MAX_DURATION_MS);
+});
+
+test("toIsoDuration and describeDuration give the canonical forms", () => {
+  assert.equal(toIsoDuration(7 * DAY), "P7D");
+  assert.equal(toIsoDuration(90 * MIN), "PT1H30M");
+  assert.equal(toIsoDuration(36 * HOUR), "P1DT12H");
+  assert.equal(parseDuration(toIsoDuration(36 * HOUR)), 36 * HOUR);
+
+  assert.equal(describeDuration(7 * DAY), "7 days");
+  assert.equal(describeDuration(36 * HOUR), "1 day 12 hours");
+  assert.equal(describeDuration(90 * MIN), "1 hour 30 minutes");
+});
+
+test("a claim lasts the slot's duration unless the code overrides it", async () => {
+  assert.deepEqual(await claimLength({ slotId: "weekly" }), { ms: 7 * DAY, duration: "P7D" });
+  assert.deepEqual(await claimLength({ slotId: "legacy" }), { ms: 3 * HOUR, duration: "PT3H" });
+  assert.deepEqual(await claimLength({ slotId: "weekly", duration: "36h" }), {
+    ms: 36 * HOUR,
+    duration: "P1DT12H"
+  });
+
+  const bad = await admin("POST", "/admin/gen-code", { slotId: "weekly", duration: "1 month" });
+  assert.equal(bad.status, 400);
+});
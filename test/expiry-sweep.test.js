@@ -0,0 +1,79 @@
+// Expiry sweep: expired transactions give their credential unit back once,
+// expired credentials are marked, and a dry run changes nothing.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { HOUR, at, serve, seedCredential, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { admin } = serve(app);
+
+before(async () => {
+  await seedCredential(db, "cred1", { usage_count: 3 });
+  await seedCredential(db, "cred_old", { expiry_date: "2000-01-01" });
+  await seedTransaction(db, "OOREXP1", { assign_to: "cred1", end_time: at(-2 * HOUR) });
+  await seedTransaction(db, "OOREXP2", { assign_to: "cred1", end_time: at(-HOUR) });
+  await seedTransaction(db, "OORLIVE", { assign_to: "cred1" });
+  await seedTransaction(db, "OORWAIT", { assignment_pending: true, end_time: at(-HOUR) });
+  await db.set("pending_assignments/OORWAIT", {
+    queued_at: Date.now() - 2 * HOUR,
+    mode: "slot",
+    slot_id: "s1"
+  });
+});
+
+test("a dry run reports without writing", async () => {
+  const res = await admin("POST", "/admin/maintenance/expiry-sweep?dry_run=1");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data.transactions_expired.sort(), ["OOREXP1", "OOREXP2", "OORWAIT"]);
+  assert.deepEqual(res.data.usage_released, { cred1: 2 });
+  assert.deepEqual(res.data.credentials_expired, ["cred_old"]);
+
+  assert.equal((await db.get("credentials/cred1")).usage_count, 3);
+  assert.equal((await db.get("transactions/OOREXP1")).usage_released, undefined);
+});
+
+test("the sweep releases each expired unit once", async () => {
+  const res = await admin("POST", "/admin/maintenance/expiry-sweep");
+  assert.deepEqual(res.data.usage_released, { cred1: 2 });
+  assert.equal((await db.get("credentials/cred1")).usage_count, 1);
+
+  const expired = await db.get("transactions/OOREXP1");
+  assert.equal(expired.usage_released, true);
+  assert.ok(expired.expired_at);
+  assert.equal((await db.get("transactions/OORLIVE")).usage_released, undefined);
+  assert.equal(await db.get("pending_assignments/OORWAIT"), null);
+  assert.ok((await db.get("credentials/cred_old")).expired_at);
+
+  const again = await admin("POST", "/admin/maintenance/expiry-sweep");
+  assert.deepEqual(again.data.transactions_expired, []);
+  assert.deepEqual(again.data.credentials_expired, []);
+  assert.equal((await db.get("credentials/cred1")).usage_count, 1);
+});
+
+test("extending a released transaction takes its unit back", async () => {
+  const res = await admin("POST", "/admin/transactions/OOREXP2/end-time", { hours: 3 });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.transaction.status, "active");
+  assert.equal((await db.get("transactions/OOREXP2")).usage_released, false);
+  assert.equal((await db.get("credentials/cred1")).usage_count, 2);
+});
+
+test("extending onto a full credential leaves the unit released", async () => {
+  await seedCredential(db, "cred_full", { max_usage: 1, usage_count: 1 });
+  await seedTransaction(db, "OORFULL", {
+    assign_to: "cred_full",
+    usage_released: true,
+    end_time: at(-HOUR)
+  });
+
+  const res = await admin("POST", "/admin/transactions/OORFULL/end-time", { hours: 3 });
+  assert.equal(res.status, 200, res.data.message);
+  assert.match(res.data.warning, /no free capacity/);
+  assert.equal((await db.get("transactions/OORFULL")).usage_released, true);
+  assert.equal((await db.get("credentials/cred_full")).usage_count, 1);
+
+  // Its next expiry gives nothing back.
+  await db.set("transactions/OORFULL/end_time", at(-HOUR));
+  await admin("POST", "/admin/maintenance/expiry-sweep");
+  assert.equal((await db.get("credentials/cred_full")).usage_count, 1);
+});
@@ -0,0 +1,123 @@
+// Shared fixture for the route tests. Requiring this file points the server
+// at the memory backend with a known owner key, so require it before
+// ../server (a file that needs more env sets that first). serve(app) listens
+// on a free port before the file's tests run and closes the server after
+// them; the returned helpers send JSON requests to it. The seed* helpers
+// write the slots, credentials and transactions most tests start from.
+process.env.STORAGE_BACKEND = "memory";
+process.env.ADMIN_KEY = "test-admin-key";
+
+const { before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { saveCredential } = require("../lib/credentials");
+const { formatDateTime } = require("../lib/time");
+
+const HOUR = 60 * 60 * 1000;
+
+// A stored time `offsetMs` from now, e.g. at(-HOUR) for an hour ago.
+function at(offsetMs) {
+  return formatDateTime(new Date(Date.now() + offsetMs));
+}
+
+function serve(app) {
+  let server;
+  let baseUrl;
+
+  before(() => {
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  // { status, data, headers }; data is the parsed JSON body, or the raw text
+  // for anything else (CSV exports).
+  async function call(method, url, body, headers = {}) {
+    const resp = await fetch(baseUrl + url, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const isJson = (resp.headers.get("content-type") || "").includes("application/json");
+    return { status: resp.status, data: isJson ? await resp.json() : await resp.text(), headers: resp.headers };
+  }
+
+  // Same, as an admin: ADMIN_KEY unless another key is given.
+  function admin(method, url, body, key = process.env.ADMIN_KEY) {
+    return call(method, url, body, { "X-ADMIN-KEY": key });
+  }
+
+  // A new promo code for slot s1 unless `body` (as /admin/gen-code takes
+  // it) says otherwise.
+  async function generate(body = {}) {
+    const res = await admin("POST", "/admin/gen-code", { slotId: "s1", ...body });
+    assert.equal(res.status, 200, res.data.message);
+    return res.data.code;
+  }
+
+  // Generates a code as above and claims it for `userId`.
+  async function claim(userId, body = {}) {
+    return call("POST", "/promo/claim", { code: await generate(body), user_id: userId });
+  }
+
+  return { call, admin, generate, claim };
+}
+
+// Replaces settings/slots. Each slot is an enabled Netflix plan unless its
+// fields say otherwise; by default there is just s1, "Evening".
+async function seedSlots(db, slots = { s1: { name: "Evening" } }) {
+  const all = {};
+  for (const [id, slot] of Object.entries(slots)) {
+    all[id] = { name: id, platform: "Netflix", enabled: true, ...slot };
+  }
+  await db.set("settings/slots", all);
+}
+
+// An unlocked credential on slot s1 with five units, none used, unless
+// `fields` say otherwise.
+async function seedCredential(db, key, fields = {}) {
+  await saveCredential(db, key, {
+    email: `${key}@example.com`,
+    password: "pw",
+    belongs_to_slot: "s1",
+    max_usage: 5,
+    usage_count: 0,
+    locked: 0,
+    ...fields
+  });
+}
+
+// A Netflix transaction on slot s1 that ends in an hour, unless `fields` say
+// otherwise.
+async function seedTransaction(db, code, fields = {}) {
+  await db.set(`transactions/${code}`, {
+    platform: "Netflix",
+    slot_id: "s1",
+    end_time: at(HOUR),
+    ...fields
+  });
+}
+
+// Makes db.transaction behave like Firebase's with nothing cached yet: fn
+// first runs with null, and only if it returns a value (rather than
+// aborting) does it run again with what is actually stored.
+function coldTransactions(db) {
+  const original = db.transaction.bind(db);
+  db.transaction = async (p, fn) => {
+    if (fn(null) === undefined) return { committed: false, value: null };
+    return original(p, fn);
+  };
+  return db;
+}
+
+module.exports = {
+  HOUR,
+  at,
+  serve,
+  seedSlots,
+  seedCredential,
+  seedTransaction,
+  coldTransactions
+};
@@ -0,0 +1,125 @@
+// Mail-code providers: per-platform config with a default, retries, the
+// http provider's parsing and env restriction, and /account/get-code going
+// through whatever provider the platform is set to.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  validateMailCodeConfig,
+  resolveMailCodeConfig,
+  lookupBudgetMs,
+  fetchMailCode
+} = require("../lib/mail-codes");
+const { serve, seedCredential, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin } = serve(app);
+
+// Stand-in mail API: answers 404 until a code is set, and echoes the
+// Authorization header it was sent.
+let mailApi;
+let mailApiUrl;
+let mailApiCode = null;
+let lastAuth;
+
+before(async () => {
+  mailApi = http.createServer((req, res) => {
+    lastAuth = req.headers.authorization;
+    if (!mailApiCode) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data: { code: mailApiCode } }));
+  });
+  await new Promise(resolve => mailApi.listen(0, resolve));
+  mailApiUrl = `http://127.0.0.1:${mailApi.address().port}/codes?to={email}`;
+
+  await seedCredential(db, "cred1", { email: "box@example.com", usage_count: 1 });
+  await seedTransaction(db, "OORMAIL1", { assign_to: "cred1" });
+});
+
+after(() => {
+  mailApi.close();
+});
+
+test("platforms fall back to default, then to the OOR worker", () => {
+  const all = { Netflix: { provider: "mock" }, default: { provider: "http", url: "http://x" } };
+  assert.equal(resolveMailCodeConfig(all, "netflix").provider, "mock");
+  assert.equal(resolveMailCodeConfig(all, "prime").provider, "http");
+  assert.deepEqual(resolveMailCodeConfig(null, "prime"), { provider: "oor_worker" });
+});
+
+test("validation rejects unknown providers and non-MAILCODE env names", () => {
+  assert.deepEqual(validateMailCodeConfig({ provider: "mock" }), []);
+  assert.match(validateMailCodeConfig({ provider: "pop3" })[0], /provider must be one of/);
+  const leaky = { provider: "http", url: "http://x", headers: { A: "env:SECRETS_KEY" } };
+  assert.ok(validateMailCodeConfig(leaky).some(e => /MAILCODE_/.test(e)));
+  assert.ok(validateMailCodeConfig({ provider: "imap", host: "h", user: "u", password_env: "PATH" }).length);
+  assert.ok(validateMailCodeConfig({ provider: "mock", attempts: 0 }).length);
+});
+
+test("lookupBudgetMs covers every try and wait", () => {
+  const conf = { attempts: 3, timeout_ms: 1000, backoff: "exponential", backoff_ms: 100, max_backoff_ms: 150 };
+  assert.equal(lookupBudgetMs(conf), 3 * 1000 + 100 + 150);
+});
+
+test("fetchMailCode retries not_found up to the attempt limit", async () => {
+  const conf = { provider: "mock", code: "123456", not_found_times: 2, backoff_ms: 0 };
+  assert.deepEqual(await fetchMailCode({ ...conf, attempts: 3 }, { email: "a@x", platform: "netflix" }), {
+    code: "123456",
+    attempts: 3,
+    status: "found"
+  });
+  const short = await fetchMailCode({ ...conf, attempts: 2 }, { email: "b@x", platform: "netflix" });
+  assert.deepEqual(short, { code: null, attempts: 2, status: "not_found" });
+});
+
+test("the http provider reads code_path and only MAILCODE_* env vars", async () => {
+  const env = { MAILCODE_TOKEN: "Bearer ok", SECRETS_KEY: "do-not-send" };
+  const conf = { provider: "http", url: mailApiUrl, code_path: "data.code", attempts: 1 };
+
+  mailApiCode = null;
+  const missing = await fetchMailCode(conf, { email: "box@example.com", platform: "netflix" }, { env });
+  assert.equal(missing.status, "not_found");
+
+  mailApiCode = "654321";
+  const found = await fetchMailCode(
+    { ...conf, headers: { Authorization: "env:MAILCODE_TOKEN" } },
+    { email: "box@example.com", platform: "netflix" },
+    { env }
+  );
+  assert.equal(found.code, "654321");
+  assert.equal(lastAuth, "Bearer ok");
+
+  await fetchMailCode(
+    { ...conf, headers: { Authorization: "env:SECRETS_KEY" } },
+    { email: "box@example.com", platform: "netflix" },
+    { env }
+  );
+  assert.equal(lastAuth, "");
+});
+
+test("get-code uses the provider set for the transaction's platform", async () => {
+  const bad = await admin("PUT", "/admin/mail-code-providers/netflix", { provider: "pop3" });
+  assert.equal(bad.status, 400);
+
+  const set = await admin("PUT", "/admin/mail-code-providers/Netflix", {
+    provider: "http",
+    url: mailApiUrl,
+    code_path: "data.code",
+    attempts: 1
+  });
+  assert.equal(set.status, 200, set.data.message);
+
+  mailApiCode = "112233";
+  const res = await call("POST", "/account/get-code", { code: "OORMAIL1" });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.code, "112233");
+  assert.equal((await db.get("transactions/OORMAIL1")).code_delivered, true);
+
+  mailApiCode = null;
+  const none = await call("POST", "/account/get-code", { code: "OORMAIL1" });
+  assert.equal(none.data.success, false);
+  assert.match(none.data.message, /No sign-in code found yet/);
+});
@@ -0,0 +1,83 @@
+// lib/otp.js against the RFC reference values.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { decodeBase32, validateSecret, hotp, totp } = require("../lib/otp");
+
+// RFC 6238 appendix B: the ASCII "1234567890" repeated to the hash's size.
+const RFC6238_KEYS = {
+  SHA1: Buffer.from("12345678901234567890"),
+  SHA256: Buffer.from("12345678901234567890123456789012"),
+  SHA512: Buffer.from("1234567890123456789012345678901234567890123456789012345678901234")
+};
+
+const RFC6238_VECTORS = [
+  // time (s)     SHA1        SHA256      SHA512
+  [59, "94287082", "46119246", "90693936"],
+  [1111111109, "07081804", "68084774", "25091201"],
+  [1111111111, "14050471", "67062674", "99943326"],
+  [1234567890, "89005924", "91819424", "93441116"],
+  [2000000000, "69279037", "90698825", "38618901"],
+  [20000000000, "65353130", "77737706", "47863826"]
+];
+
+// RFC 4226 appendix D: SHA1, 6 digits, counters 0-9.
+const RFC4226_CODES = [
+  "755224", "287082", "359152", "969429", "338314",
+  "254676", "287922", "162583", "399871", "520489"
+];
+
+test("totp matches the RFC 6238 test vectors", () => {
+  for (const [time, ...codes] of RFC6238_VECTORS) {
+    ["SHA1", "SHA256", "SHA512"].forEach((algorithm, i) => {
+      const { code } = totp(RFC6238_KEYS[algorithm], {
+        algorithm,
+        digits: 8,
+        period: 30,
+        now: time * 1000
+      });
+      assert.equal(code, codes[i], `${algorithm} at ${time}`);
+    });
+  }
+});
+
+test("totp reports the time left and the next step's code", () => {
+  const key = RFC6238_KEYS.SHA1;
+  const result = totp(key, { digits: 8, now: 59 * 1000 });
+  assert.equal(result.ttl, 1);
+  assert.equal(result.next_code, hotp(key, 2, { digits: 8 }));
+});
+
+test("hotp matches the RFC 4226 test values", () => {
+  RFC4226_CODES.forEach((expected, counter) => {
+    assert.equal(hotp(RFC6238_KEYS.SHA1, counter), expected, `counter ${counter}`);
+  });
+});
+
+test("decodeBase32 tolerates case, spaces, dashes and trailing padding", () => {
+  const expected = Buffer.from("Hello!\xde\xad\xbe\xef", "latin1");
+  for (const secret of ["JBSWY3DPEHPK3PXP", "jbsw y3dp ehpk 3pxp", "JBSW-Y3DP-EHPK-3PXP", "JBSWY3DPEHPK3PXP===="]) {
+    assert.deepEqual(decodeBase32(secret), expected, secret);
+  }
+});
+
+test("decodeBase32 rejects what no encoder produces", () => {
+  const cases = [
+    ["", /empty/],
+    ["====", /empty/],
+    ["JBSWY3DPEHPK3PX1", /invalid base32 character "1"/],
+    ["JBSWY3DPEHPK3PX8", /invalid base32 character "8"/],
+    ["JBSWY3DP=EHPK3PXP", /padding in the middle/],
+    ["JBSWY3DPE", /impossible base32 length/],
+    ["JBSWY3DPEHP", /impossible base32 length/],
+    ["JBSWY3DPEHPK3P", /impossible base32 length/]
+  ];
+  for (const [secret, message] of cases) {
+    assert.throws(() => decodeBase32(secret), message, JSON.stringify(secret));
+  }
+});
+
+test("validateSecret wants at least 10 bytes and returns the canonical form", () => {
+  assert.deepEqual(validateSecret("jbsw y3dp ehpk 3pxp===="), { secret: "JBSWY3DPEHPK3PXP" });
+  assert.match(validateSecret("JBSWY3DP").error, /at least 10 bytes/);
+  assert.match(validateSecret("JBSWY3DPEHPK3PX1").error, /invalid base32 character/);
+});
@@ -0,0 +1,64 @@
+// Claims that find no free credential wait in pending_assignments and get
+// one, oldest first, once capacity shows up.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve, seedSlots, seedCredential } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin, claim } = serve(app);
+
+async function claimed(userId) {
+  const res = await claim(userId);
+  assert.equal(res.status, 200, res.data.message);
+  return res.data;
+}
+
+before(async () => {
+  await seedSlots(db);
+  await seedCredential(db, "cred1", { max_usage: 1 });
+});
+
+test("claims past capacity queue up and are assigned in claim order", async () => {
+  const first = await claimed("u1");
+  assert.equal(first.last_email, "cred1@example.com");
+
+  const second = await claimed("u2");
+  const third = await claimed("u3");
+  assert.equal(second.assignment_pending, true);
+  assert.equal(second.pending_position, 1);
+  assert.equal(third.pending_position, 2);
+
+  const status = await call("POST", "/account/status", { code: third.code });
+  assert.equal(status.data.assignment_pending, true);
+  assert.equal(status.data.pending_position, 2);
+
+  const queue = await admin("GET", "/admin/pending-assignments");
+  assert.deepEqual(queue.data.entries.map(e => e.code), [second.code, third.code]);
+
+  // One more unit: it goes to the older claim.
+  await seedCredential(db, "cred2", { max_usage: 1 });
+  const run = await admin("POST", "/admin/pending-assignments/run");
+  assert.equal(run.data.assigned, 1);
+  assert.equal(run.data.waiting, 1);
+
+  const assigned = await call("POST", "/account/status", { code: second.code });
+  assert.equal(assigned.data.assignment_pending, false);
+  assert.equal(assigned.data.last_email, "cred2@example.com");
+  assert.equal(assigned.data.last_password, "pw");
+  assert.equal((await db.get("credentials/cred2")).usage_count, 1);
+
+  const still = await call("POST", "/account/status", { code: third.code });
+  assert.equal(still.data.pending_position, 1);
+});
+
+test("entries for hidden transactions are dropped, not assigned", async () => {
+  const waiting = await claimed("u4");
+  await admin("POST", `/admin/transactions/${waiting.code}/hide`, { reason: "refund" });
+  await seedCredential(db, "cred3");
+
+  await admin("POST", "/admin/pending-assignments/run");
+  assert.equal(await db.get(`pending_assignments/${waiting.code}`), null);
+  const trx = await db.get(`transactions/${waiting.code}`);
+  assert.equal(trx.assign_to, undefined);
+  assert.equal(trx.assignment_pending, false);
+});
@@ -0,0 +1,49 @@
+// Platform-mode promo codes: no slot is fixed at generation, the claim takes
+// the first enabled slot of the platform that has a free credential.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve, seedSlots, seedCredential } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin } = serve(app);
+
+before(async () => {
+  await seedSlots(db, {
+    a_full: { name: "Morning", platform: "Prime", duration_hours: 6 },
+    b_free: { name: "Evening", platform: "Prime", duration_hours: 6 },
+    c_off: { name: "Night", platform: "Prime", duration_hours: 6, enabled: false },
+    other: { name: "Other", duration_hours: 6 }
+  });
+  await seedCredential(db, "cred_full", { belongs_to_slot: "a_full", max_usage: 1, usage_count: 1 });
+  await seedCredential(db, "cred_free", { email: "free@example.com", belongs_to_slot: "b_free" });
+});
+
+test("gen-code in platform mode stores the platform and no slot", async () => {
+  const res = await admin("POST", "/admin/gen-code", { mode: "platform", platform: " Prime " });
+  assert.equal(res.status, 200, res.data.message);
+  const promo = await db.get(`promo_codes/${res.data.code}`);
+  assert.equal(promo.mode, "platform");
+  assert.equal(promo.platform, "Prime");
+  assert.equal(promo.slot_id, undefined);
+});
+
+test("gen-code in platform mode needs a platform with enabled slots", async () => {
+  const missing = await admin("POST", "/admin/gen-code", { mode: "platform" });
+  assert.equal(missing.status, 400);
+  const unknown = await admin("POST", "/admin/gen-code", { mode: "platform", platform: "Hulu" });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.data.message, "No enabled slots for this platform");
+});
+
+test("claiming a platform code lands on the slot with a free credential", async () => {
+  const gen = await admin("POST", "/admin/gen-code", { mode: "platform", platform: "prime" });
+  const res = await call("POST", "/promo/claim", { code: gen.data.code, user_id: "u1" });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.slot_id, "b_free");
+  assert.equal(res.data.platform, "Prime");
+  assert.equal(res.data.last_email, "free@example.com");
+
+  const trx = await db.get(`transactions/${res.data.code}`);
+  assert.equal(trx.assign_to, "cred_free");
+  assert.equal((await db.get("credentials/cred_free")).usage_count, 1);
+});
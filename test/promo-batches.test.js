@@ -0,0 +1,58 @@
+// Bulk generation: a batch gets the requested number of codes, its report
+// counts them, and the CSV export can't smuggle formulas into a spreadsheet.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve, seedSlots } = require("./helpers");
+const { app, db } = require("../server");
+
+const { admin } = serve(app);
+
+before(async () => {
+  await seedSlots(db);
+});
+
+async function bulk(body) {
+  const res = await admin("POST", "/admin/gen-codes/bulk", { slotId: "s1", ...body });
+  assert.equal(res.status, 200, res.data.message);
+  return res.data;
+}
+
+test("a batch gets every code it asked for", async () => {
+  const { batch_id: batchId, codes, count } = await bulk({ count: 30, maxUses: 2, label: "Spring" });
+  assert.equal(count, 30);
+  assert.equal(new Set(codes).size, 30);
+
+  const promo = await db.get(`promo_codes/${codes[0]}`);
+  assert.equal(promo.batch_id, batchId);
+  assert.equal(promo.max_uses, 2);
+
+  const report = await admin("GET", `/admin/promo-batches/${batchId}`);
+  assert.equal(report.status, 200);
+  assert.equal(report.data.batch.label, "Spring");
+  assert.equal(report.data.batch.codes, undefined);
+  assert.equal(report.data.status_counts.unused, 30);
+  assert.equal(report.data.promo_codes.length, 30);
+});
+
+test("bulk generation rejects a count out of range", async () => {
+  for (const count of [0, 1001, 2.5, "x"]) {
+    const res = await admin("POST", "/admin/gen-codes/bulk", { slotId: "s1", count });
+    assert.equal(res.status, 400, `count ${count}`);
+  }
+});
+
+test("the CSV export has one row per code and defuses formulas", async () => {
+  const { batch_id: batchId, codes } = await bulk({ count: 2, label: '=HYPERLINK("http://x","y")' });
+
+  const res = await admin("GET", `/admin/promo-batches/${batchId}/export`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/csv/);
+
+  const lines = res.data.trim().split("\n");
+  assert.equal(lines[0], "code,slot_id,slot_name,platform,max_uses,used_count,expires_at,status,batch_id,batch_label");
+  assert.equal(lines.length, 3);
+  for (const line of lines.slice(1)) {
+    assert.ok(codes.includes(line.split(",")[0]));
+    assert.ok(line.endsWith(`,"'=HYPERLINK(""http://x"",""y"")"`), line);
+  }
+});
@@ -0,0 +1,79 @@
+// Promo code lifecycle from the admin side: list and filter, revoke, move
+// the expiry, raise max_uses, and delete only what was never used.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { serve, seedSlots } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin, generate } = serve(app);
+
+before(async () => {
+  await seedSlots(db);
+});
+
+test("list filters by status and code substring", async () => {
+  const unused = await generate();
+  const used = await generate();
+  const claim = await call("POST", "/promo/claim", { code: used, user_id: "u1" });
+  assert.equal(claim.status, 200, claim.data.message);
+
+  const usedUp = await admin("GET", "/admin/promo-codes?status=used_up");
+  assert.deepEqual(usedUp.data.promo_codes.map(p => p.code), [used]);
+
+  const search = await admin("GET", `/admin/promo-codes?q=${unused.slice(3, 10).toLowerCase()}`);
+  assert.ok(search.data.promo_codes.some(p => p.code === unused));
+
+  const bad = await admin("GET", "/admin/promo-codes?status=nope");
+  assert.equal(bad.status, 400);
+
+  const one = await admin("GET", `/admin/promo-codes/${used}`);
+  assert.equal(one.data.promo.used_by.length, 1);
+  assert.equal(one.data.promo.used_by[0].user_id, "u1");
+});
+
+test("a revoked code can't be claimed until it's un-revoked", async () => {
+  const code = await generate();
+  const revoke = await admin("PATCH", `/admin/promo-codes/${code}`, { revoked: true });
+  assert.equal(revoke.data.promo.status, "revoked");
+
+  const claim = await call("POST", "/promo/claim", { code, user_id: "u2" });
+  assert.equal(claim.data.reason, "CODE_REVOKED");
+
+  await admin("PATCH", `/admin/promo-codes/${code}`, { revoked: false });
+  const again = await call("POST", "/promo/claim", { code, user_id: "u2" });
+  assert.equal(again.status, 200, again.data.message);
+});
+
+test("expiry and max_uses can be changed, but not below what's used", async () => {
+  const code = await generate({ maxUses: 2 });
+  await call("POST", "/promo/claim", { code, user_id: "u3" });
+
+  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const extended = await admin("PATCH", `/admin/promo-codes/${code}`, { expires_at: expiresAt, max_uses: 5 });
+  assert.equal(extended.status, 200, extended.data.message);
+  assert.equal(extended.data.promo.expires_at, expiresAt);
+  assert.equal(extended.data.promo.max_uses, 5);
+
+  const past = await admin("PATCH", `/admin/promo-codes/${code}`, { expires_at: "2000-01-01T00:00:00Z" });
+  assert.equal(past.status, 400);
+  const lower = await admin("PATCH", `/admin/promo-codes/${code}`, { max_uses: 0 });
+  assert.equal(lower.status, 400);
+
+  await db.set(`promo_codes/${code}/used_count`, 3);
+  const belowUsed = await admin("PATCH", `/admin/promo-codes/${code}`, { max_uses: 2 });
+  assert.equal(belowUsed.status, 400);
+  assert.match(belowUsed.data.message, /used_count \(3\)/);
+});
+
+test("only unused codes can be deleted", async () => {
+  const unused = await generate();
+  const used = await generate();
+  await call("POST", "/promo/claim", { code: used, user_id: "u4" });
+
+  assert.equal((await admin("DELETE", `/admin/promo-codes/${used}`)).status, 409);
+  assert.notEqual(await db.get(`promo_codes/${used}`), null);
+
+  assert.equal((await admin("DELETE", `/admin/promo-codes/${unused}`)).status, 200);
+  assert.equal(await db.get(`promo_codes/${unused}`), null);
+  assert.equal((await admin("DELETE", `/admin/promo-codes/${unused}`)).status, 404);
+});
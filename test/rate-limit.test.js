@@ -0,0 +1,93 @@
+// Throttling of the code-based endpoints: per-IP and per-code windows, the
+// lockout after repeated unknown codes, the promo_code of a renewal counting
+// as a code of its own, and shared promo codes left out of the per-code limit.
+process.env.RATE_LIMIT_IP_MAX = "1000";
+process.env.RATE_LIMIT_CODE_MAX = "3";
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryCounterStore, createRateLimiter } = require("../lib/rate-limit");
+const { serve, seedSlots, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, generate } = serve(app);
+
+function post(url, body, ip) {
+  return call("POST", url, body, { "X-Forwarded-For": ip });
+}
+
+before(async () => {
+  app.set("trust proxy", true);
+  await seedSlots(db);
+  for (let i = 1; i <= 4; i++) await seedTransaction(db, `OORRENEW${i}`);
+});
+
+test("the limiter counts per IP and per code, and locks out repeated failures", async () => {
+  let t = 0;
+  const limiter = createRateLimiter(
+    createMemoryCounterStore({ now: () => t }),
+    { windowMs: 1000, ipMax: 3, codeMax: 2, failThreshold: 2, lockoutMs: 5000 },
+    { now: () => t }
+  );
+
+  assert.equal((await limiter.check({ ip: "a", code: "X" })).allowed, true);
+  assert.equal((await limiter.check({ ip: "b", code: "X" })).allowed, true);
+  const perCode = await limiter.check({ ip: "c", code: ["Y", "X"] });
+  assert.equal(perCode.reason, "CODE_RATE_LIMIT");
+  assert.equal(perCode.code, "X");
+
+  await limiter.check({ ip: "a" });
+  await limiter.check({ ip: "a" });
+  assert.equal((await limiter.check({ ip: "a" })).reason, "IP_RATE_LIMIT");
+  t = 1000;
+  assert.equal((await limiter.check({ ip: "a", code: "X" })).allowed, true);
+
+  assert.equal((await limiter.recordFailure("d")).lockedMs, 0);
+  assert.equal((await limiter.recordFailure("d")).lockedMs, 5000);
+  const locked = await limiter.check({ ip: "d" });
+  assert.equal(locked.reason, "LOCKED_OUT");
+  assert.equal(locked.retryAfterMs, 5000);
+  assert.equal(await limiter.clearLockout("d"), true);
+  assert.equal((await limiter.check({ ip: "d" })).allowed, true);
+});
+
+test("one code is throttled whichever IP sends it", async () => {
+  for (let i = 0; i < 3; i++) {
+    const res = await post("/user/login", { code: "OORSAMECODE" }, `198.51.100.${i}`);
+    assert.equal(res.status, 404);
+  }
+  const res = await post("/user/login", { code: "OORSAMECODE" }, "198.51.100.9");
+  assert.equal(res.status, 429);
+  assert.equal(res.data.reason, "CODE_RATE_LIMIT");
+  assert.ok(Number(res.headers.get("retry-after")) >= 1);
+});
+
+test("a renewal's promo_code is throttled like a claimed code", async () => {
+  for (let i = 1; i <= 3; i++) {
+    const res = await post("/account/renew", { code: `OORRENEW${i}`, promo_code: "OORGUESS" }, "192.0.2.1");
+    assert.equal(res.status, 400, res.data.message);
+    assert.equal(res.data.reason, "CODE_NOT_FOUND");
+  }
+  const res = await post("/account/renew", { code: "OORRENEW4", promo_code: "oorguess" }, "192.0.2.1");
+  assert.equal(res.status, 429);
+  assert.equal(res.data.reason, "CODE_RATE_LIMIT");
+
+  const blocked = Object.values((await db.get("security/blocked_attempts")) || {});
+  assert.ok(blocked.some(b => b.route === "/account/renew" && b.code === "OORGUESS"));
+});
+
+test("a shared promo code can be claimed more often than the per-code limit", async () => {
+  const shared = await generate({ maxUses: 10 });
+  for (let i = 0; i < 6; i++) {
+    const res = await post("/promo/claim", { code: shared, user_id: `fan${i}` }, `203.0.113.${i}`);
+    assert.equal(res.status, 200, res.data.message);
+  }
+
+  // A single-use code still counts.
+  const single = await generate();
+  for (let i = 0; i < 3; i++) {
+    await post("/promo/claim", { code: single, user_id: "late" }, `203.0.113.${50 + i}`);
+  }
+  const res = await post("/promo/claim", { code: single, user_id: "late" }, "203.0.113.99");
+  assert.equal(res.data.reason, "CODE_RATE_LIMIT");
+});
@@ -0,0 +1,87 @@
+// Self-service renewal: a new promo code for the same plan stacks onto an
+// active transaction, restarts an expired one from now (taking its
+// credential unit back), and is handed back untouched for another plan.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDateTime, parseDateTime } = require("../lib/time");
+const { HOUR, at, serve, seedSlots, seedCredential, seedTransaction } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, generate } = serve(app);
+
+before(async () => {
+  await seedSlots(db, {
+    s1: { name: "Evening", duration_hours: 6 },
+    s2: { name: "Morning", platform: "Prime", duration_hours: 6 }
+  });
+  await seedCredential(db, "cred1", { usage_count: 1 });
+});
+
+test("renewing an active transaction stacks onto its end_time", async () => {
+  // Stored times keep whole seconds.
+  const end = new Date(Math.floor(Date.now() / 1000) * 1000 + 2 * HOUR);
+  await seedTransaction(db, "OORACTIVE", { user_id: "u1", assign_to: "cred1", end_time: formatDateTime(end) });
+
+  const code = await generate({ duration: "3h" });
+  const res = await call("POST", "/account/renew", { code: "OORACTIVE", promo_code: code });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.stacked, true);
+  assert.equal(parseDateTime(res.data.end_time).getTime(), end.getTime() + 3 * HOUR);
+
+  const trx = await db.get("transactions/OORACTIVE");
+  assert.equal(trx.renewals.length, 1);
+  assert.equal(trx.renewals[0].promo_code, code);
+  assert.equal(trx.assign_to, "cred1");
+  assert.equal((await db.get("credentials/cred1")).usage_count, 1);
+  assert.equal((await db.get(`promo_codes/${code}`)).used_by[0].renewed_transaction, "OORACTIVE");
+});
+
+test("renewing a swept transaction starts from now and re-takes its unit", async () => {
+  await seedTransaction(db, "OOREXPIRED", {
+    user_id: "u2",
+    assign_to: "cred1",
+    usage_released: true,
+    end_time: at(-HOUR)
+  });
+
+  const startedAt = Date.now();
+  const res = await call("POST", "/account/renew", { code: "OOREXPIRED", promo_code: await generate() });
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.stacked, false);
+  const end = parseDateTime(res.data.end_time).getTime();
+  assert.ok(end >= startedAt + 6 * HOUR - 1000 && end <= Date.now() + 6 * HOUR);
+
+  const trx = await db.get("transactions/OOREXPIRED");
+  assert.equal(trx.usage_released, false);
+  assert.equal((await db.get("credentials/cred1")).usage_count, 2);
+  assert.equal((await call("POST", "/user/login", { code: "OOREXPIRED" })).status, 200);
+});
+
+test("a logged-in user renews with their session token", async () => {
+  await seedTransaction(db, "OORSESSION", { user_id: "u4", assign_to: "cred1" });
+  const login = await call("POST", "/user/login", { code: "OORSESSION" });
+  assert.equal(login.status, 200, login.data.message);
+
+  const res = await call(
+    "POST",
+    "/account/renew",
+    { promo_code: await generate() },
+    { Authorization: `Bearer ${login.data.session_token}` }
+  );
+  assert.equal(res.status, 200, res.data.message);
+  assert.equal(res.data.code, "OORSESSION");
+  assert.equal(res.data.stacked, true);
+});
+
+test("a code for another plan is given back", async () => {
+  await seedTransaction(db, "OOROTHER", { user_id: "u3" });
+  const code = await generate({ slotId: "s2" });
+
+  const res = await call("POST", "/account/renew", { code: "OOROTHER", promo_code: code });
+  assert.equal(res.status, 400);
+  assert.equal(res.data.message, "This code is for a different plan");
+  assert.equal((await db.get(`promo_codes/${code}`)).used_count, 0);
+
+  const missing = await call("POST", "/account/renew", { code: "OOROTHER" });
+  assert.equal(missing.status, 400);
+});
@@ -0,0 +1,60 @@
+// Session tokens: an expired token is a user coming back late, not a guess,
+// so it must not count towards the invalid-code lockout. Forged ones do.
+process.env.SESSION_SECRET = "test-session-secret";
+process.env.RATE_LIMIT_FAIL_THRESHOLD = "3";
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { createSessionSigner } = require("../lib/session");
+const { HOUR, serve } = require("./helpers");
+const { app } = require("../server");
+
+const signer = createSessionSigner(process.env);
+
+const { call } = serve(app);
+
+function post(url, body, ip) {
+  return call("POST", url, body, { "X-Forwarded-For": ip });
+}
+
+before(() => {
+  // Lets each test use its own client IP.
+  app.set("trust proxy", true);
+});
+
+test("verify tells an expired token from a forged one", () => {
+  const now = Date.now();
+  const { token } = signer.issue({ code: "OORABC", version: 2 }, now - 2 * HOUR);
+
+  const expired = signer.verify(token, now);
+  assert.equal(expired.reason, "EXPIRED");
+  assert.equal(expired.claims.code, "OORABC");
+
+  assert.equal(signer.verify(signer.issue({ code: "OORABC" }, now).token, now).reason, null);
+
+  const [body, sig] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ code: "OORXYZ", ver: 0, iat: 0, exp: 9e9 })).toString("base64url");
+  assert.deepEqual(signer.verify(`${forged}.${sig}`, now), { claims: null, reason: "BAD_TOKEN" });
+  assert.deepEqual(signer.verify(`${body}.${sig}.x`, now), { claims: null, reason: "BAD_TOKEN" });
+  assert.deepEqual(signer.verify(undefined, now), { claims: null, reason: "BAD_TOKEN" });
+});
+
+test("expired tokens get the session-ended reply without locking the IP out", async () => {
+  const { token } = signer.issue({ code: "OORABC" }, Date.now() - 2 * HOUR);
+  for (let i = 0; i < 6; i++) {
+    const res = await post("/account/status", { token }, "203.0.113.1");
+    assert.equal(res.status, 401);
+    assert.equal(res.data.session_expired, true);
+  }
+  const login = await post("/user/login", { code: "OORNOPE" }, "203.0.113.1");
+  assert.equal(login.status, 404);
+});
+
+test("forged tokens still count towards the lockout", async () => {
+  for (let i = 0; i < 3; i++) {
+    const res = await post("/account/status", { token: "bogus.token" }, "203.0.113.2");
+    assert.equal(res.status, 401);
+  }
+  const login = await post("/user/login", { code: "OORNOPE" }, "203.0.113.2");
+  assert.equal(login.status, 429);
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage, createMemoryStorage } = require("../lib/storage");
+
+test("memory storage reads, merges and removes by path", async () => {
+  const db = createMemoryStorage();
+  await db.set("promo_codes/OOR1", { slot_id: "s1", used_count: 0 });
+  assert.deepEqual(await db.get("promo_codes/OOR1"), { slot_id: "s1", used_count: 0 });
+  assert.equal(await db.get("promo_codes/OOR1/slot_id"), "s1");
+  assert.equal(await db.get("promo_codes/NOPE"), null);
+
+  await db.update("/", { "promo_codes/OOR1/used_count": 1, "transactions/OOR1": { user_id: "u1" } });
+  assert.equal(await db.get("promo_codes/OOR1/used_count"), 1);
+  assert.equal(await db.get("transactions/OOR1/user_id"), "u1");
+
+  await db.remove("transactions/OOR1");
+  assert.equal(await db.get("transactions"), null);
+});
+
+test("memory storage drops nulls and empty nodes like Firebase", async () => {
+  const db = createMemoryStorage();
+  await db.set("a", { keep: 1, gone: null, empty: {} });
+  assert.deepEqual(await db.get("a"), { keep: 1 });
+  await db.set("a/keep", null);
+  assert.equal(await db.get("a"), null);
+});
+
+test("values handed out are copies", async () => {
+  const db = createMemoryStorage();
+  const value = { n: 1 };
+  await db.set("x", value);
+  value.n = 2;
+  (await db.get("x")).n = 3;
+  assert.deepEqual(await db.get("x"), { n: 1 });
+});
+
+test("getRange returns the children between two keys", async () => {
+  const db = createMemoryStorage({ data: { log: { a1: 1, b2: 2, c3: 3 } } });
+  assert.deepEqual(await db.getRange("log", { startAt: "b" }), { b2: 2, c3: 3 });
+  assert.deepEqual(await db.getRange("log", { endAt: "b9" }), { a1: 1, b2: 2 });
+  assert.equal(await db.getRange("log", { startAt: "d" }), null);
+});
+
+test("transaction commits what fn returns and aborts on undefined", async () => {
+  const db = createMemoryStorage();
+  const first = await db.transaction("counter", n => (n || 0) + 1);
+  assert.deepEqual(first, { committed: true, value: 1 });
+  const aborted = await db.transaction("counter", () => undefined);
+  assert.deepEqual(aborted, { committed: false, value: 1 });
+});
+
+test("the file backend keeps its data across instances", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "oor-storage-")), "data.json");
+  try {
+    const db = createStorage({ STORAGE_BACKEND: "file", STORAGE_FILE: file });
+    assert.equal(db.backend, "file");
+    await db.set("settings/slots/s1", { name: "Evening" });
+
+    const reopened = createStorage({ STORAGE_BACKEND: "file", STORAGE_FILE: file });
+    assert.deepEqual(await reopened.get("settings/slots/s1"), { name: "Evening" });
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test("createStorage rejects unknown backends and missing Firebase config", () => {
+  assert.throws(() => createStorage({ STORAGE_BACKEND: "redis" }), /Unknown STORAGE_BACKEND/);
+  assert.throws(() => createStorage({}), /FIREBASE_DB_URL/);
+});
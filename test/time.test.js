@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  formatDateTime,
+  formatDisplay,
+  parseDateTime,
+  isLegacyDateTime,
+  endOfDay
+} = require("../lib/time");
+
+const INSTANT = new Date("2024-05-01T13:00:00Z");
+
+test("formatDateTime writes ISO with the zone's offset", () => {
+  assert.equal(formatDateTime(INSTANT, "Asia/Kolkata"), "2024-05-01T18:30:00+05:30");
+  assert.equal(formatDateTime(INSTANT, "UTC"), "2024-05-01T13:00:00+00:00");
+  assert.equal(formatDateTime(INSTANT, "America/New_York"), "2024-05-01T09:00:00-04:00");
+  assert.equal(
+    formatDateTime(new Date("2024-01-15T13:00:00Z"), "America/New_York"),
+    "2024-01-15T08:00:00-05:00"
+  );
+});
+
+test("stored times parse back to the same instant", () => {
+  for (const zone of ["Asia/Kolkata", "UTC", "America/New_York"]) {
+    assert.equal(parseDateTime(formatDateTime(INSTANT, zone)).getTime(), INSTANT.getTime());
+  }
+  assert.equal(parseDateTime(INSTANT.getTime()).getTime(), INSTANT.getTime());
+  assert.equal(parseDateTime("2024-05-01T13:00:00Z").getTime(), INSTANT.getTime());
+  assert.equal(parseDateTime(""), null);
+  assert.equal(parseDateTime("not a date"), null);
+});
+
+test("legacy wall-clock strings are read in the legacy zone", () => {
+  assert.ok(isLegacyDateTime("2024-05-01 18:30:00"));
+  assert.ok(!isLegacyDateTime("2024-05-01T18:30:00+05:30"));
+  assert.equal(parseDateTime("2024-05-01 18:30:00", "Asia/Kolkata").getTime(), INSTANT.getTime());
+  assert.equal(parseDateTime("2024-05-01 09:00", "America/New_York").getTime(), INSTANT.getTime());
+});
+
+test("formatDisplay names the zone", () => {
+  assert.equal(formatDisplay(INSTANT, "UTC"), "2024-05-01 13:00:00 UTC");
+  assert.match(formatDisplay(INSTANT, "Asia/Kolkata"), /^2024-05-01 18:30:00 GMT\+5:30$/);
+});
+
+test("endOfDay is midnight after the given day in the zone", () => {
+  assert.equal(endOfDay("2024-05-01", "Asia/Kolkata").toISOString(), "2024-05-01T18:30:00.000Z");
+  assert.equal(endOfDay("2024-12-31", "UTC").toISOString(), "2025-01-01T00:00:00.000Z");
+  assert.equal(endOfDay("tomorrow", "UTC"), null);
+});
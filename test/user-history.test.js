@@ -0,0 +1,70 @@
+// Per-user history: claims are indexed by user_id, admins see all of a
+// user's transactions, the portal sees the same list without other codes,
+// and settings/user_limits caps what one user can claim.
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { userKey, buildUserIndexPatch } = require("../lib/users");
+const { at, serve, seedSlots, seedTransaction, coldTransactions } = require("./helpers");
+const { app, db } = require("../server");
+
+const { call, admin, claim } = serve(app);
+
+before(async () => {
+  await seedSlots(db);
+});
+
+test("claims are indexed and listed per user", async () => {
+  const first = await claim("alice@example.com");
+  const second = await claim("alice@example.com");
+  await claim("bob");
+  await db.set(`transactions/${first.data.code}/end_time`, at(-1000));
+
+  assert.equal(userKey("alice@example.com"), "alice@example_com");
+  const indexed = Object.keys(await db.get("user_index/alice@example_com"));
+  assert.deepEqual(indexed.sort(), [first.data.code, second.data.code].sort());
+
+  const res = await admin("GET", "/admin/users/alice@example.com/transactions");
+  assert.equal(res.data.count, 2);
+  assert.equal(res.data.active, 1);
+
+  const portal = await call("POST", "/account/history", { code: first.data.code });
+  assert.equal(portal.status, 200, portal.data.message);
+  assert.equal(portal.data.transactions.length, 2);
+  const mine = portal.data.transactions.find(t => t.current);
+  const other = portal.data.transactions.find(t => !t.current);
+  assert.equal(mine.code, first.data.code);
+  assert.equal(mine.status, "expired");
+  assert.equal(other.code, null);
+});
+
+test("the backfill indexes transactions claimed before the index", async () => {
+  await seedTransaction(db, "OOROLD1", { user_id: "carol" });
+  const patch = await buildUserIndexPatch(db);
+  assert.deepEqual(patch, { "user_index/carol/OOROLD1": true });
+});
+
+test("user limits cap active plans per platform and codes per group", async () => {
+  const bad = await admin("PUT", "/admin/user-limits", { max_active: { netflix: -1 } });
+  assert.equal(bad.status, 400);
+  const set = await admin("PUT", "/admin/user-limits", { max_active: { Netflix: 1 } });
+  assert.equal(set.status, 200, set.data.message);
+
+  assert.equal((await claim("dave")).status, 200);
+  const second = await claim("dave");
+  assert.equal(second.status, 403);
+  assert.equal(second.data.reason, "USER_PLATFORM_LIMIT");
+
+  await admin("PUT", "/admin/user-limits", { groups: { trial: 2 } });
+  assert.equal((await claim("erin", { limitGroup: "trial" })).status, 200);
+  assert.equal((await claim("erin", { limitGroup: "trial" })).status, 200);
+  const third = await claim("erin", { limitGroup: "trial" });
+  assert.equal(third.data.reason, "USER_GROUP_LIMIT");
+});
+
+test("a finished claim unlocks the user on storage that starts from null", async () => {
+  coldTransactions(db);
+  assert.equal((await claim("frank")).status, 200);
+  const next = await claim("frank");
+  assert.equal(next.status, 200, next.data.message);
+  assert.equal(await db.get("runtime/user_claim_locks/frank"), null);
+});